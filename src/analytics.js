@@ -0,0 +1,169 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  AttachmentBuilder
+} from 'discord.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { banks } from './state.js';
+import { DATA_DIR, safeName } from './storage.js';
+import { DEFAULT_GUILD_CONFIG } from './guildConfig.js';
+import { questionKey, loadHistory } from './history.js';
+import { normalize } from './util.js';
+import { letter, isTyped } from './questions.js';
+import { toCsvCell } from './parsing.js';
+import { indexGuildQuestions } from './review.js';
+
+/* =============== QUESTION ANALYTICS ================ */
+// Item statistics from study history (group quizzes and exams; /review only replays misses, so it is left out)
+// plus learner reports: data/flags/<guildId>.jsonl, one JSON line per "🚩 Report" { ts, guildId, channelId, userId, bank, qKey, q, reason }
+const FLAGS_DIR = path.join(DATA_DIR, 'flags');
+const REPORT_MIN_ANSWERS = 5;   // fewer learners than this -> no % / discrimination verdicts
+const DISCRIMINATION_GROUP = 0.27; // classic upper/lower 27% groups
+const REPORT_TOP = 5;
+
+function flagsPath(guildId) {
+  return path.join(FLAGS_DIR, `${safeName(guildId)}.jsonl`);
+}
+async function recordFlag(entry) {
+  try {
+    await fs.mkdir(FLAGS_DIR, { recursive: true });
+    await fs.appendFile(flagsPath(entry.guildId), JSON.stringify(entry) + '\n', 'utf8');
+  } catch (e) {
+    console.error('Flag write failed:', e);
+  }
+}
+async function loadFlags(guildId) {
+  const text = await fs.readFile(flagsPath(guildId), 'utf8').catch(() => '');
+  return text.split('\n').filter(l => l.trim()).flatMap(l => { try { return [JSON.parse(l)]; } catch { return []; } });
+}
+
+export const buildReportRow = qObj => new ActionRowBuilder().addComponents(
+  new ButtonBuilder().setCustomId(`qreport:${questionKey(qObj)}`).setLabel('Report').setEmoji('🚩').setStyle(ButtonStyle.Secondary)
+);
+// Handles the Report button on any reveal message (the question's collector has already ended)
+export async function handleReportButton(interaction) {
+  const qKey = interaction.customId.slice('qreport:'.length);
+  const hit = indexGuildQuestions(interaction.guildId).get(qKey);
+  const customId = `qreport_modal_${interaction.id}`;
+  const reason = new TextInputBuilder().setCustomId('reason').setLabel('What is wrong with this question?')
+    .setPlaceholder('Wrong answer key, unclear wording, typo, outdated…').setStyle(TextInputStyle.Paragraph).setRequired(true).setMaxLength(500);
+  await interaction.showModal(new ModalBuilder().setCustomId(customId).setTitle('🚩 Report question').addComponents(new ActionRowBuilder().addComponents(reason)));
+  const modalInt = await interaction.awaitModalSubmit({ time: 10 * 60 * 1000, filter: m => m.customId === customId }).catch(() => null);
+  if (!modalInt) return;
+  await recordFlag({
+    ts: Date.now(), guildId: interaction.guildId, channelId: interaction.channelId, userId: interaction.user.id,
+    bank: hit?.bankName || null, qKey, q: hit?.question.q.slice(0, 200) || null, reason: normalize(modalInt.fields.getTextInputValue('reason'))
+  });
+  return modalInt.reply({ content: '🚩 Thanks — the quiz managers will see this in `/bank report`.', ephemeral: true });
+}
+
+// Per-question stats for a guild (optionally one bank), in bank order
+export async function itemAnalysis(guildId, bankName = null) {
+  const rows = (await loadHistory(guildId)).filter(r => r.mode !== 'review');
+  const flags = await loadFlags(guildId);
+
+  // Overall accuracy per learner, for ranking into upper/lower groups
+  const learner = new Map();
+  for (const r of rows) {
+    const l = learner.get(r.userId) || { n: 0, correct: 0 };
+    l.n++; if (r.correct) l.correct++;
+    learner.set(r.userId, l);
+  }
+  const ability = id => learner.get(id).correct / learner.get(id).n;
+
+  const byKey = new Map();
+  for (const r of rows) (byKey.get(r.qKey) || byKey.set(r.qKey, []).get(r.qKey)).push(r);
+  const flagsByKey = new Map();
+  for (const f of flags) (flagsByKey.get(f.qKey) || flagsByKey.set(f.qKey, []).get(f.qKey)).push(f);
+
+  const out = [];
+  for (const [name, items] of banks.get(guildId) || []) {
+    if (bankName && name !== bankName) continue;
+    items.forEach((question, i) => {
+      const qKey = questionKey(question);
+      const answers = byKey.get(qKey) || [];
+      const n = answers.length;
+      const correct = answers.filter(r => r.correct).length;
+
+      const optionCounts = question.options.map(() => 0);
+      for (const r of answers) if (Array.isArray(r.choice)) r.choice.forEach(k => { if (optionCounts[k] !== undefined) optionCounts[k]++; });
+
+      // Latest answer per learner, strongest learners first
+      const latest = new Map();
+      for (const r of [...answers].sort((a, b) => a.ts - b.ts)) latest.set(r.userId, r.correct ? 1 : 0);
+      const ranked = [...latest].sort((a, b) => ability(b[0]) - ability(a[0]));
+      let discrimination = null;
+      if (ranked.length >= REPORT_MIN_ANSWERS) {
+        const g = Math.max(1, Math.round(ranked.length * DISCRIMINATION_GROUP));
+        const mean = list => list.reduce((s, [, c]) => s + c, 0) / list.length;
+        discrimination = Math.round((mean(ranked.slice(0, g)) - mean(ranked.slice(-g))) * 100) / 100;
+      }
+
+      const itemFlags = flagsByKey.get(qKey) || [];
+      out.push({
+        bankName: name, number: i + 1, question, qKey, n, learners: latest.size,
+        pct: n ? Math.round((correct / n) * 100) : null, optionCounts, discrimination,
+        flagCount: new Set(itemFlags.map(f => f.userId)).size,
+        reasons: itemFlags.slice(-3).map(f => f.reason),
+        suspect: suspectMiskey(question, optionCounts, discrimination, latest.size)
+      });
+    });
+  }
+  return out;
+}
+// Why an item looks mis-keyed, or null
+function suspectMiskey(question, optionCounts, discrimination, learners) {
+  if (learners < REPORT_MIN_ANSWERS) return null;
+  if (!isTyped(question)) {
+    const keyed = question.answerIdx.map(k => optionCounts[k]);
+    const distractors = optionCounts.map((c, k) => [c, k]).filter(([, k]) => !question.answerIdx.includes(k));
+    const [top, k] = distractors.sort((a, b) => b[0] - a[0])[0] || [0, -1];
+    if (top > Math.min(...keyed)) return `${letter(k)} picked more often than the key (${top} vs ${Math.min(...keyed)})`;
+  }
+  if (discrimination !== null && discrimination < 0) return `negative discrimination (${discrimination}) — strong learners miss it more`;
+  return null;
+}
+
+function formatOptionCounts(stat) {
+  if (isTyped(stat.question)) return '';
+  return stat.optionCounts.map((c, k) => `${letter(k)}${stat.question.answerIdx.includes(k) ? '✓' : ''}:${c}`).join(' ');
+}
+export function formatQualityReport(label, stats, color = DEFAULT_GUILD_CONFIG.color) {
+  const ref = s => {
+    const prompt = s.question.q.length > 60 ? `${s.question.q.slice(0, 59)}…` : s.question.q;
+    return `**${s.bankName} #${s.number}** ${prompt}`;
+  };
+  const measured = stats.filter(s => s.learners >= REPORT_MIN_ANSWERS);
+  const missed = [...measured].sort((a, b) => a.pct - b.pct).slice(0, REPORT_TOP)
+    .map(s => `${ref(s)} — ${s.pct}% of ${s.n}${s.discrimination !== null ? ` • D ${s.discrimination}` : ''}`);
+  const flagged = stats.filter(s => s.flagCount).sort((a, b) => b.flagCount - a.flagCount).slice(0, REPORT_TOP)
+    .map(s => `${ref(s)} — 🚩 ${s.flagCount}${s.reasons.length ? `: “${s.reasons[s.reasons.length - 1].slice(0, 80)}”` : ''}`);
+  const suspects = stats.filter(s => s.suspect).slice(0, REPORT_TOP).map(s => `${ref(s)} — ${s.suspect}`);
+  const field = (name, lines) => ({ name, value: (lines.join('\n') || '—').slice(0, 1024) });
+
+  const answered = stats.filter(s => s.n).length;
+  const embed = new EmbedBuilder()
+    .setTitle(`🔬 Question report — ${label}`)
+    .setColor(color)
+    .setDescription(`${stats.length} questions • ${answered} answered at least once • ${measured.length} with ${REPORT_MIN_ANSWERS}+ learners`)
+    .addFields(
+      field('📉 Most missed', missed),
+      field('🚩 Most flagged', flagged),
+      field('🔑 Suspected mis-keyed', suspects)
+    )
+    .setFooter({ text: 'D = discrimination index (upper − lower 27%). Fix items with /bank edit; full table attached.' });
+
+  const rows = [['bank', 'number', 'question', 'type', 'answered', 'learners', 'pct_correct', 'discrimination', 'option_picks', 'flags', 'flag_reasons', 'suspect']];
+  for (const s of stats) {
+    rows.push([s.bankName, s.number, s.question.q, s.question.type || 'single', s.n, s.learners, s.pct ?? '', s.discrimination ?? '',
+      formatOptionCounts(s), s.flagCount, s.reasons.join(' | '), s.suspect || '']);
+  }
+  const csv = '\uFEFF' + rows.map(r => r.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+  return { embeds: [embed], files: [new AttachmentBuilder(Buffer.from(csv, 'utf8'), { name: `${safeName(label)}-item-analysis.csv` })] };
+}
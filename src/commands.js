@@ -0,0 +1,171 @@
+import { SlashCommandBuilder } from 'discord.js';
+
+/* ==================== COMMANDS ===================== */
+export const commands = [
+  new SlashCommandBuilder().setName('ping').setDescription('Check if the bot is alive!'),
+  new SlashCommandBuilder()
+    .setName('quiz')
+    .setDescription('Quiz controls')
+    .addSubcommand(sc => sc.setName('start')
+      .setDescription('Start a quiz in this channel')
+      .addStringOption(o  => o.setName('bank').setDescription('Which question bank to use'))
+      .addIntegerOption(o => o.setName('count').setDescription('How many questions').setMinValue(1).setMaxValue(100))
+      .addStringOption(o  => o.setName('scoring').setDescription('How select-all-that-apply questions are scored')
+        .addChoices(
+          { name: 'All-or-nothing', value: 'all' },
+          { name: 'NCLEX +/- (wrong picks cancel right ones)', value: 'plusminus' },
+          { name: 'Per option (credit for each option judged right)', value: 'peroption' }
+        ))
+      .addStringOption(o  => o.setName('mode').setDescription('Who answers each question')
+        .addChoices(
+          { name: 'First click answers for the channel', value: 'first' },
+          { name: 'Everyone answers privately (speed points)', value: 'everyone' },
+          { name: 'Teams (first click per team member, team scores)', value: 'teams' }
+        ))
+      .addIntegerOption(o => o.setName('teams').setDescription('Number of teams for mode:teams (ignored when team roles are set)').setMinValue(2).setMaxValue(4))
+      .addIntegerOption(o => o.setName('timer').setDescription('Seconds per question (default: server setting)').setMinValue(5).setMaxValue(120))
+      .addIntegerOption(o => o.setName('min_players').setDescription('Wait in a lobby until this many players join').setMinValue(2).setMaxValue(50))
+      .addStringOption(o  => o.setName('tag').setDescription('Only questions with this tag or category (e.g. pharm)'))
+      .addStringOption(o  => o.setName('difficulty').setDescription('Only questions of this difficulty')
+        .addChoices({ name: 'Easy', value: 'easy' }, { name: 'Medium', value: 'medium' }, { name: 'Hard', value: 'hard' }))
+      .addBooleanOption(o => o.setName('all_banks').setDescription('Draw from every bank in this server'))
+      .addBooleanOption(o => o.setName('focus_missed').setDescription('Favour questions the server often gets wrong')))
+    .addSubcommand(sc => sc.setName('stop').setDescription('Stop the current quiz in this channel'))
+    .addSubcommand(sc => sc.setName('score').setDescription('Show the current scoreboard'))
+    .addSubcommand(sc => sc.setName('list').setDescription('List available banks'))
+    .addSubcommand(sc =>
+      sc.setName('import')
+        .setDescription('Import questions from a CSV, TSV, JSON, GIFT or Aiken file (quiz managers)')
+        .addAttachmentOption(o => o.setName('file').setDescription('CSV, Anki/Quizlet TSV, JSON, GIFT or Aiken file (or a .zip with images)').setRequired(true))
+        .addStringOption(o => o.setName('name').setDescription('Bank name (defaults to file name)')))
+    .addSubcommand(sc => sc.setName('help').setDescription('Show quiz commands and usage tips')),
+  new SlashCommandBuilder()
+    .setName('stats')
+    .setDescription('Show study history: accuracy by bank and over time')
+    .addUserOption(o => o.setName('user').setDescription('Whose stats (defaults to you)')),
+  new SlashCommandBuilder()
+    .setName('leaderboard')
+    .setDescription('Server rankings across all quizzes')
+    .addStringOption(o => o.setName('period').setDescription('Time window (default: last 7 days)')
+      .addChoices(
+        { name: 'Last 7 days', value: 'week' },
+        { name: 'Last 30 days', value: 'month' },
+        { name: 'All time', value: 'all' }
+      )),
+  new SlashCommandBuilder()
+    .setName('review')
+    .setDescription('Private spaced-repetition review of questions you have answered')
+    .addStringOption(o  => o.setName('bank').setDescription('Only review cards from this bank'))
+    .addIntegerOption(o => o.setName('count').setDescription('Max cards this round (default 10)').setMinValue(1).setMaxValue(50)),
+  new SlashCommandBuilder()
+    .setName('bank')
+    .setDescription('Manage question banks (quiz managers)')
+    .addSubcommand(sc => sc.setName('view')
+      .setDescription('Page through the questions in a bank')
+      .addStringOption(o  => o.setName('bank').setDescription('Bank name').setRequired(true))
+      .addIntegerOption(o => o.setName('page').setDescription('Page to open').setMinValue(1)))
+    .addSubcommand(sc => sc.setName('edit')
+      .setDescription('Edit one question in a form')
+      .addStringOption(o  => o.setName('bank').setDescription('Bank name').setRequired(true))
+      .addIntegerOption(o => o.setName('number').setDescription('Question number (from /bank view)').setRequired(true).setMinValue(1)))
+    .addSubcommand(sc => sc.setName('add')
+      .setDescription('Add one question in a form (creates the bank if needed)')
+      .addStringOption(o  => o.setName('bank').setDescription('Bank name').setRequired(true)))
+    .addSubcommand(sc => sc.setName('remove')
+      .setDescription('Remove one question from a bank')
+      .addStringOption(o  => o.setName('bank').setDescription('Bank name').setRequired(true))
+      .addIntegerOption(o => o.setName('number').setDescription('Question number (from /bank view)').setRequired(true).setMinValue(1)))
+    .addSubcommand(sc => sc.setName('delete')
+      .setDescription('Delete a whole bank and its file')
+      .addStringOption(o  => o.setName('bank').setDescription('Bank name').setRequired(true)))
+    .addSubcommand(sc => sc.setName('rename')
+      .setDescription('Rename a bank')
+      .addStringOption(o  => o.setName('bank').setDescription('Current name').setRequired(true))
+      .addStringOption(o  => o.setName('to').setDescription('New name').setRequired(true)))
+    .addSubcommand(sc => sc.setName('merge')
+      .setDescription('Copy questions from one bank into another, skipping duplicates')
+      .addStringOption(o  => o.setName('from').setDescription('Source bank').setRequired(true))
+      .addStringOption(o  => o.setName('into').setDescription('Target bank (created if missing)').setRequired(true))
+      .addBooleanOption(o => o.setName('delete_source').setDescription('Delete the source bank afterwards')))
+    .addSubcommand(sc => sc.setName('export')
+      .setDescription('Download a bank as a file you can re-import')
+      .addStringOption(o  => o.setName('bank').setDescription('Bank name').setRequired(true))
+      .addStringOption(o  => o.setName('format').setDescription('File format (default csv)')
+        .addChoices({ name: 'CSV', value: 'csv' }, { name: 'JSON', value: 'json' })))
+    .addSubcommand(sc => sc.setName('report')
+      .setDescription('Most-missed, most-flagged and suspected mis-keyed questions')
+      .addStringOption(o  => o.setName('bank').setDescription('Bank name (default: all banks)'))),
+  new SlashCommandBuilder()
+    .setName('config')
+    .setDescription('Server quiz settings')
+    .addSubcommand(sc => sc.setName('view').setDescription('Show the current settings'))
+    .addSubcommand(sc => sc.setName('set')
+      .setDescription('Change settings (admin only)')
+      .addRoleOption(o    => o.setName('manager_role').setDescription('Role that may import/edit banks and schedules'))
+      .addIntegerOption(o => o.setName('timer').setDescription('Default seconds per question').setMinValue(5).setMaxValue(120))
+      .addIntegerOption(o => o.setName('count').setDescription('Default questions per quiz (0 = whole bank)').setMinValue(0).setMaxValue(100))
+      .addStringOption(o  => o.setName('scoring').setDescription('Default SATA scoring')
+        .addChoices(
+          { name: 'All-or-nothing', value: 'all' },
+          { name: 'NCLEX +/- (wrong picks cancel right ones)', value: 'plusminus' },
+          { name: 'Per option (credit for each option judged right)', value: 'peroption' }
+        ))
+      .addBooleanOption(o => o.setName('show_rationale').setDescription('Show rationales after each quiz question'))
+      .addBooleanOption(o => o.setName('shuffle').setDescription('Shuffle question order'))
+      .addBooleanOption(o => o.setName('shuffle_options').setDescription('Shuffle answer options (default off; "All of the above" stays put)'))
+      .addIntegerOption(o => o.setName('avoid_recent').setDescription('Skip questions seen in the channel\'s last N quizzes (default 0 = off)').setMinValue(0).setMaxValue(10))
+      .addBooleanOption(o => o.setName('focus_missed').setDescription('Favour questions the server often gets wrong'))
+      .addStringOption(o  => o.setName('color').setDescription('Embed colour as hex, e.g. #00AE86')))
+    .addSubcommand(sc => sc.setName('channel')
+      .setDescription('Allow or disallow quizzes in a channel (admin only; none listed = anywhere)')
+      .addChannelOption(o => o.setName('channel').setDescription('Channel').setRequired(true))
+      .addBooleanOption(o => o.setName('allow').setDescription('Allow quizzes there?').setRequired(true)))
+    .addSubcommand(sc => sc.setName('teamrole')
+      .setDescription('Use a role as a team for mode:teams (admin only; up to 4)')
+      .addRoleOption(o => o.setName('role').setDescription('Role').setRequired(true))
+      .addBooleanOption(o => o.setName('add').setDescription('Add (true) or remove (false)').setRequired(true)))
+    .addSubcommand(sc => sc.setName('reset').setDescription('Restore default settings (admin only)')),
+  new SlashCommandBuilder()
+    .setName('schedule')
+    .setDescription('Recurring quizzes for a channel')
+    .addSubcommand(sc => sc.setName('create')
+      .setDescription('Schedule a recurring quiz (quiz managers)')
+      .addStringOption(o  => o.setName('bank').setDescription('Question bank').setRequired(true))
+      .addStringOption(o  => o.setName('time').setDescription('Time of day, 24h, e.g. 19:30'))
+      .addStringOption(o  => o.setName('repeat').setDescription('How often (default daily)')
+        .addChoices({ name: 'Daily', value: 'daily' }, { name: 'Weekdays', value: 'weekdays' }, { name: 'Weekly', value: 'weekly' }))
+      .addStringOption(o  => o.setName('day').setDescription('Day for weekly quizzes')
+        .addChoices(...['mon','tue','wed','thu','fri','sat','sun'].map(d => ({ name: d, value: d }))))
+      .addStringOption(o  => o.setName('cron').setDescription('Cron expression instead of time/repeat, e.g. "0 9 * * 1-5"'))
+      .addStringOption(o  => o.setName('timezone').setDescription('IANA timezone, e.g. America/Chicago (default UTC)'))
+      .addIntegerOption(o => o.setName('count').setDescription('Questions per quiz').setMinValue(1).setMaxValue(100))
+      .addChannelOption(o => o.setName('channel').setDescription('Where to run it (default: this channel)'))
+      .addStringOption(o  => o.setName('mode').setDescription('Who answers each question')
+        .addChoices(
+          { name: 'First click answers for the channel', value: 'first' },
+          { name: 'Everyone answers privately (speed points)', value: 'everyone' }
+        ))
+      .addIntegerOption(o => o.setName('timer').setDescription('Seconds per question (default: server setting)').setMinValue(5).setMaxValue(120)))
+    .addSubcommand(sc => sc.setName('list').setDescription('List schedules in this server'))
+    .addSubcommand(sc => sc.setName('pause').setDescription('Pause a schedule (quiz managers)')
+      .addStringOption(o => o.setName('id').setDescription('Schedule id from /schedule list').setRequired(true)))
+    .addSubcommand(sc => sc.setName('resume').setDescription('Resume a paused schedule (quiz managers)')
+      .addStringOption(o => o.setName('id').setDescription('Schedule id from /schedule list').setRequired(true)))
+    .addSubcommand(sc => sc.setName('delete').setDescription('Delete a schedule (quiz managers)')
+      .addStringOption(o => o.setName('id').setDescription('Schedule id from /schedule list').setRequired(true))),
+  new SlashCommandBuilder()
+    .setName('exam')
+    .setDescription('Private timed practice exam — answers are revealed only after you submit')
+    .addStringOption(o  => o.setName('bank').setDescription('Which question bank to use (default: last used)'))
+    .addBooleanOption(o => o.setName('all_banks').setDescription('Draw from every bank in this server'))
+    .addIntegerOption(o => o.setName('count').setDescription('Number of items (default 25)').setMinValue(1).setMaxValue(150))
+    .addIntegerOption(o => o.setName('minutes').setDescription('Total time limit (default 1.5 min per item)').setMinValue(1).setMaxValue(300))
+    .addIntegerOption(o => o.setName('cut').setDescription('Passing score in percent (default 70)').setMinValue(1).setMaxValue(100))
+    .addStringOption(o  => o.setName('blueprint').setDescription('Percent per category/tag, e.g. "pharmacology:30, safety:20"'))
+    .addStringOption(o  => o.setName('scoring').setDescription('How select-all-that-apply items are scored')
+      .addChoices(
+        { name: 'All-or-nothing', value: 'all' },
+        { name: 'NCLEX +/- (wrong picks cancel right ones)', value: 'plusminus' },
+        { name: 'Per option (credit for each option judged right)', value: 'peroption' }
+      ))
+].map(c => c.toJSON());
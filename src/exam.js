@@ -0,0 +1,242 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  StringSelectMenuBuilder,
+  AttachmentBuilder
+} from 'discord.js';
+import { questionKey, recordAnswer } from './history.js';
+import { chunk } from './util.js';
+import {
+  filterQuestions, letter, formatPicks, isSata, scoreSelection, formatQuestionEmbed,
+  picksFromComponent, isTyped, typedKeyToText, formatTypedKey, buildAnswerButton, askTypedAnswer
+} from './questions.js';
+import { shuffleInPlace, shuffled } from './selection.js';
+import { attachImage } from './media.js';
+
+/* ==================== EXAM MODE ==================== */
+// Private, timed, paged exam: no reveals until submit, then a full score report.
+// `${guildId}:${userId}` -> exam state
+export const exams = new Map();
+export const DEFAULT_CUT_PCT = 70;
+const EXAM_OPTION_BUTTONS_MAX = 15; // more options than this use a select menu
+
+// "pharmacology:30, safety:20" -> [{ tag: 'pharmacology', pct: 30 }, ...]
+export function parseBlueprint(text) {
+  if (!text) return [];
+  const parts = text.split(/[,;]/).map(s => s.trim()).filter(Boolean);
+  const out = parts.map(p => {
+    const m = /^(.+?)\s*[:=]\s*(\d+(?:\.\d+)?)\s*%?$/.exec(p);
+    if (!m) throw new Error(`Blueprint entry "${p}" should look like \`category:30\`.`);
+    return { tag: m[1].trim(), pct: parseFloat(m[2]) };
+  });
+  const total = out.reduce((s, b) => s + b.pct, 0);
+  if (total > 100) throw new Error(`Blueprint adds up to ${total}% (max 100%).`);
+  return out;
+}
+// Fills each blueprint slice from matching questions, then tops up from the rest of the pool
+export function buildExamSet(pool, count, blueprint) {
+  const order = shuffled(pool);
+  const used = new Set();
+  const picked = [];
+  const shortfalls = [];
+  for (const { tag, pct } of blueprint) {
+    const want = Math.round((count * pct) / 100);
+    const matches = filterQuestions(order, { tag }).filter(q => !used.has(q));
+    matches.slice(0, want).forEach(q => { used.add(q); picked.push(q); });
+    if (matches.length < want) shortfalls.push(`${tag}: ${matches.length}/${want}`);
+  }
+  for (const q of order) {
+    if (picked.length >= count) break;
+    if (!used.has(q)) { used.add(q); picked.push(q); }
+  }
+  return { questions: shuffleInPlace(picked), shortfalls };
+}
+
+const fmtDuration = ms => {
+  const s = Math.max(0, Math.round(ms / 1000));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+};
+
+function renderExamPage(exam) {
+  const i = exam.index;
+  const q = exam.questions[i];
+  const picks = exam.answers[i] || (isTyped(q) ? '' : []);
+  const answeredCount = exam.answers.filter(Boolean).length;
+  const left = exam.deadline - Date.now();
+  const status = `📝 Exam • ${answeredCount}/${exam.questions.length} answered • ${exam.flagged.size} flagged • ends <t:${Math.floor(exam.deadline / 1000)}:R>`;
+  const embed = formatQuestionEmbed(q, i, exam.questions.length, 0, `${fmtDuration(left)} left • ${answeredCount}/${exam.questions.length} answered`, exam.color);
+  embed.addFields({ name: 'Your answer', value: picks.length ? formatPicks(picks) : '—', inline: true });
+  if (exam.flagged.has(i)) embed.addFields({ name: 'Flag', value: '🚩 Flagged for review', inline: true });
+
+  const rows = [];
+  if (isTyped(q)) {
+    rows.push(...buildAnswerButton('exam_type'));
+  } else if (q.options.length <= EXAM_OPTION_BUTTONS_MAX && !isSata(q)) {
+    const buttons = q.options.map((_, k) =>
+      new ButtonBuilder().setCustomId(`exam_opt_${k}`).setLabel(letter(k))
+        .setStyle(picks.includes(k) ? ButtonStyle.Success : ButtonStyle.Primary));
+    rows.push(...chunk(buttons, 5).map(g => new ActionRowBuilder().addComponents(...g)));
+  } else {
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId('exam_pick')
+      .setPlaceholder(isSata(q) ? 'Select all that apply' : 'Choose an answer')
+      .setMinValues(isSata(q) ? 0 : 1)
+      .setMaxValues(isSata(q) ? q.options.length : 1)
+      .addOptions(q.options.map((o, k) => ({ label: `${letter(k)}. ${o}`.slice(0, 100), value: String(k), default: picks.includes(k) })));
+    rows.push(new ActionRowBuilder().addComponents(menu));
+  }
+
+  // Jump menu: a window of up to 25 items around the current one
+  const start = Math.max(0, Math.min(i - 12, exam.questions.length - 25));
+  const jump = new StringSelectMenuBuilder().setCustomId('exam_goto').setPlaceholder('Go to question…')
+    .addOptions(exam.questions.slice(start, start + 25).map((item, k) => {
+      const n = start + k;
+      const mark = exam.flagged.has(n) ? '🚩' : exam.answers[n] ? '✔️' : '○';
+      return { label: `${mark} ${n + 1}. ${item.q}`.slice(0, 100), value: String(n), default: n === i };
+    }));
+  rows.push(new ActionRowBuilder().addComponents(jump));
+
+  rows.push(new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId('exam_prev').setLabel('◀ Prev').setStyle(ButtonStyle.Secondary).setDisabled(i === 0),
+    new ButtonBuilder().setCustomId('exam_flag').setLabel(exam.flagged.has(i) ? 'Unflag' : 'Flag').setEmoji('🚩').setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId('exam_next').setLabel('Next ▶').setStyle(ButtonStyle.Secondary).setDisabled(i === exam.questions.length - 1),
+    new ButtonBuilder().setCustomId('exam_submit').setLabel('Submit').setEmoji('✅').setStyle(ButtonStyle.Danger)
+  ));
+  const files = attachImage(embed, exam.guildId, q.image);
+  return { content: status, embeds: [embed], files, attachments: [], components: rows };
+}
+
+function gradeExam(exam) {
+  const items = exam.questions.map((q, i) => {
+    const picks = exam.answers[i] || (isTyped(q) ? '' : []);
+    const result = scoreSelection(q, picks, exam.scoring);
+    return { q, i, picks, result, ms: exam.time[i] };
+  });
+  const points = items.reduce((s, it) => s + it.result.points, 0);
+  const pct = Math.round((points / items.length) * 1000) / 10;
+  return { items, points: Math.round(points * 100) / 100, pct, passed: pct >= exam.cut };
+}
+
+function formatExamReport(exam, grade, user) {
+  const elapsed = exam.submittedAt - exam.startedAt;
+  const byCat = new Map();
+  for (const it of grade.items) {
+    const key = it.q.category || 'Uncategorized';
+    const c = byCat.get(key) || { n: 0, pts: 0 };
+    c.n++; c.pts += it.result.points;
+    byCat.set(key, c);
+  }
+  const missed = grade.items.filter(it => !it.result.exact);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`${grade.passed ? '🎓 PASS' : '📕 Below cut score'} — ${grade.pct}%`)
+    .setColor(grade.passed ? 0x2ECC71 : 0xE74C3C)
+    .setDescription([
+      `**Score:** ${grade.points}/${grade.items.length} (${grade.pct}%) • cut score ${exam.cut}%`,
+      `**Time:** ${fmtDuration(elapsed)}${exam.timedOut ? ' (time expired)' : ''} • avg ${fmtDuration(elapsed / grade.items.length)} per item`,
+      `**Answered:** ${exam.answers.filter(Boolean).length}/${grade.items.length} • **Flagged:** ${exam.flagged.size}`
+    ].join('\n'))
+    .addFields({
+      name: 'By category',
+      value: [...byCat.entries()].map(([k, c]) => `• ${k}: ${Math.round((c.pts / c.n) * 100)}% (${c.n})`).join('\n').slice(0, 1024) || '—'
+    });
+  if (missed.length) {
+    const preview = missed.slice(0, 5).map(it =>
+      `**#${it.i + 1}** ${it.q.q.slice(0, 80)}\nYou: ${it.picks.length ? formatPicks(it.picks) : '—'} • Answer: ${isTyped(it.q) ? formatTypedKey(it.q) : it.q.answerIdx.map(letter).join(', ')}\n> ${(it.q.rationale || '—').slice(0, 150)}`
+    ).join('\n');
+    embed.addFields({ name: `Missed (${missed.length}) — full list attached`, value: preview.slice(0, 1024) });
+  }
+
+  const lines = [
+    `Exam report — ${user.username} — ${new Date(exam.submittedAt).toISOString()}`,
+    `Bank: ${exam.bankName} • Score ${grade.points}/${grade.items.length} (${grade.pct}%) • Cut ${exam.cut}% • ${grade.passed ? 'PASS' : 'FAIL'}`,
+    `Total time ${fmtDuration(elapsed)}`,
+    ''
+  ];
+  for (const it of grade.items) {
+    const mark = it.result.exact ? 'RIGHT' : it.result.points > 0 ? `PARTIAL ${it.result.points}` : 'WRONG';
+    lines.push(`#${it.i + 1} [${mark}] (${fmtDuration(it.ms)})${exam.flagged.has(it.i) ? ' [flagged]' : ''} ${it.q.q}`);
+    if (isTyped(it.q)) lines.push(`   Answer: ${typedKeyToText(it.q).accept}  <- you: ${it.picks || '—'}`);
+    it.q.options.forEach((o, k) => lines.push(`   ${letter(k)}. ${o}${it.q.answerIdx.includes(k) ? '  <- answer' : ''}${it.picks.includes(k) ? '  <- you' : ''}`));
+    if (!it.result.exact) lines.push(`   Rationale: ${it.q.rationale || '—'}`);
+    lines.push('');
+  }
+  const file = new AttachmentBuilder(Buffer.from(lines.join('\n'), 'utf8'), { name: 'exam-report.txt' });
+  return { embeds: [embed], files: [file] };
+}
+
+export async function runExam(interaction, exam) {
+  const key = `${interaction.guildId}:${interaction.user.id}`;
+  exams.set(key, exam);
+  exam.shownAt = Date.now();
+  exam.lastInt = interaction;
+
+  await interaction.reply({ ...renderExamPage(exam), ephemeral: true });
+  const msg = await interaction.fetchReply();
+  const collector = msg.createMessageComponentCollector({ time: exam.deadline - Date.now() });
+
+  const leavePage = () => { exam.time[exam.index] += Date.now() - exam.shownAt; exam.shownAt = Date.now(); };
+
+  collector.on('collect', async (compInt) => {
+    try {
+      exam.lastInt = compInt;
+      const id = compInt.customId;
+      if (id === 'exam_type') {
+        const shown = exam.index;
+        const modalInt = await askTypedAnswer(compInt, exam.questions[shown], exam.deadline - Date.now(), exam.answers[shown] || '');
+        if (!modalInt || !exams.has(key)) return;
+        exam.answers[shown] = picksFromComponent(modalInt) || null;
+        exam.lastInt = modalInt;
+        exam.confirmSubmit = false;
+        return modalInt.update(renderExamPage(exam));
+      }
+      if (id.startsWith('exam_opt_')) exam.answers[exam.index] = [parseInt(id.slice('exam_opt_'.length), 10)];
+      else if (id === 'exam_pick') exam.answers[exam.index] = compInt.values.length ? compInt.values.map(v => parseInt(v, 10)).sort((a, b) => a - b) : null;
+      else if (id === 'exam_flag') exam.flagged.has(exam.index) ? exam.flagged.delete(exam.index) : exam.flagged.add(exam.index);
+      else if (id === 'exam_prev') { leavePage(); exam.index = Math.max(0, exam.index - 1); }
+      else if (id === 'exam_next') { leavePage(); exam.index = Math.min(exam.questions.length - 1, exam.index + 1); }
+      else if (id === 'exam_goto') { leavePage(); exam.index = parseInt(compInt.values[0], 10); }
+      else if (id === 'exam_submit') {
+        const open = exam.questions.length - exam.answers.filter(Boolean).length;
+        if ((open || exam.flagged.size) && !exam.confirmSubmit) {
+          exam.confirmSubmit = true;
+          return compInt.reply({ content: `⚠️ ${open} unanswered and ${exam.flagged.size} flagged. Press **Submit** again to finish.`, ephemeral: true });
+        }
+        leavePage();
+        return collector.stop('submitted');
+      }
+      exam.confirmSubmit = false;
+      await compInt.update(renderExamPage(exam));
+    } catch (e) {
+      if (e?.code === 10062 || e?.rawError?.code === 10062 || e?.status === 404) return;
+      console.error('Error handling exam action:', e);
+    }
+  });
+
+  collector.on('end', async (_, reason) => {
+    exams.delete(key);
+    if (reason !== 'submitted') { exam.timedOut = true; exam.time[exam.index] += Date.now() - exam.shownAt; }
+    exam.submittedAt = Date.now();
+    const grade = gradeExam(exam);
+    for (const it of grade.items) {
+      if (!it.picks.length) continue;
+      recordAnswer({
+        ts: exam.submittedAt, guildId: interaction.guildId, channelId: interaction.channelId, userId: interaction.user.id,
+        bank: it.q.sourceBank || exam.bankName, qKey: questionKey(it.q), q: it.q.q.slice(0, 200),
+        choice: it.picks, correct: it.result.exact, points: it.result.points, ms: it.ms, mode: 'exam'
+      });
+    }
+    const report = formatExamReport(exam, grade, interaction.user);
+    const done = exam.timedOut ? '⏰ **Time expired — exam submitted.**' : '✅ **Exam submitted.**';
+    try {
+      if (reason === 'submitted') await exam.lastInt.update({ content: done, ...report, attachments: [], components: [] });
+      else await exam.lastInt.editReply({ content: done, ...report, attachments: [], components: [] });
+    } catch {
+      // The interaction token expires after 15 minutes of inactivity; fall back to a DM
+      try { await interaction.user.send({ content: `${done} (${interaction.guild?.name || 'server'})`, ...report }); }
+      catch (e) { console.error('Could not deliver exam report:', e); }
+    }
+  });
+}
@@ -0,0 +1,86 @@
+import { PermissionFlagsBits } from 'discord.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { DATA_DIR, ensureDataDir, writeFileAtomic } from './storage.js';
+
+/* ================== GUILD CONFIG =================== */
+// data/config.json: { [guildId]: { managerRoleId, timer, count, scoring, showRationale, shuffle, shuffleOptions, avoidRecent, focusMissed, color, channels, teamRoles } }
+const CONFIG_FILE = path.join(DATA_DIR, 'config.json');
+export const DEFAULT_TIMER_SEC = 20;
+export const DEFAULT_GUILD_CONFIG = {
+  managerRoleId: null,   // role allowed to import/edit banks and schedules (besides Administrators)
+  timer: DEFAULT_TIMER_SEC,
+  count: null,           // null = whole bank
+  scoring: 'all',
+  showRationale: true,
+  shuffle: true,
+  shuffleOptions: false, // opt-in: shuffle answer choices (fixed_order questions never are)
+  avoidRecent: 0,        // opt-in: skip questions from the channel's last N quizzes while fresh ones remain
+  focusMissed: false,    // favour questions the server often gets wrong
+  color: 0x00AE86,
+  channels: [],          // empty = quizzes allowed everywhere
+  teamRoles: []          // 2+ roles = mode:teams uses these as the teams
+};
+export let guildConfigs = {};
+
+export function getGuildConfig(guildId) {
+  return { ...DEFAULT_GUILD_CONFIG, ...(guildConfigs[guildId] || {}) };
+}
+export async function saveGuildConfigsToDisk() {
+  try {
+    await ensureDataDir();
+    await writeFileAtomic(CONFIG_FILE, JSON.stringify(guildConfigs, null, 2));
+  } catch (e) {
+    console.error('Config save failed:', e);
+  }
+}
+export async function loadGuildConfigsFromDisk() {
+  try {
+    const contents = await fs.readFile(CONFIG_FILE, 'utf8').catch(() => null);
+    if (!contents) return;
+    const data = JSON.parse(contents);
+    guildConfigs = data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  } catch (e) {
+    console.error('⚠️ Ignoring unreadable config.json:', e.message);
+  }
+}
+export async function updateGuildConfig(guildId, patch) {
+  guildConfigs[guildId] = { ...(guildConfigs[guildId] || {}), ...patch };
+  await saveGuildConfigsToDisk();
+  return getGuildConfig(guildId);
+}
+
+export function isAdmin(interaction) {
+  return !!interaction.memberPermissions?.has(PermissionFlagsBits.Administrator);
+}
+// Administrators, or members holding the guild's quiz manager role
+export function canManage(interaction) {
+  if (isAdmin(interaction)) return true;
+  const roleId = getGuildConfig(interaction.guildId).managerRoleId;
+  return !!roleId && memberHasRole(interaction.member, roleId);
+}
+// member.roles is a role manager on cached members, a plain id array otherwise
+export function memberHasRole(member, roleId) {
+  const roles = member?.roles;
+  if (!roles) return false;
+  return Array.isArray(roles) ? roles.includes(roleId) : roles.cache?.has(roleId) ?? false;
+}
+export function denyManage(interaction, what) {
+  const roleId = getGuildConfig(interaction.guildId).managerRoleId;
+  const who = roleId ? `Administrator or the <@&${roleId}> role` : 'the Administrator permission';
+  return interaction.reply({ content: `⛔ **Quiz managers only:** You need ${who} to use ${what}.`, ephemeral: true, allowedMentions: { parse: [] } });
+}
+export function quizAllowedIn(guildId, channelId) {
+  const { channels } = getGuildConfig(guildId);
+  return !channels.length || channels.includes(channelId);
+}
+export function describeGuildConfig(cfg) {
+  return [
+    `**Quiz manager role:** ${cfg.managerRoleId ? `<@&${cfg.managerRoleId}>` : '— (Administrators only)'}`,
+    `**Timer:** ${cfg.timer}s • **Count:** ${cfg.count || 'whole bank'} • **SATA scoring:** ${cfg.scoring}`,
+    `**Rationales:** ${cfg.showRationale ? 'shown' : 'hidden'} • **Shuffle:** ${cfg.shuffle ? 'on' : 'off'} • **Shuffle options:** ${cfg.shuffleOptions ? 'on' : 'off'} • **Colour:** #${cfg.color.toString(16).padStart(6, '0')}`,
+    `**Avoid repeats from last:** ${cfg.avoidRecent ? `${cfg.avoidRecent} quiz(zes)` : 'off'} • **Focus on missed questions:** ${cfg.focusMissed ? 'on' : 'off'}`,
+    `**Quiz channels:** ${cfg.channels.length ? cfg.channels.map(id => `<#${id}>`).join(', ') : 'any'}`,
+    `**Team roles:** ${cfg.teamRoles.length ? cfg.teamRoles.map(id => `<@&${id}>`).join(', ') : '— (colour teams)'}`
+  ].join('\n');
+}
@@ -0,0 +1,227 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  AttachmentBuilder
+} from 'discord.js';
+import { banks, lastBank, ensureGuildBank } from '../state.js';
+import { safeName, deleteBankFile, findBankName, dedupeKey, storeBank } from '../storage.js';
+import { DEFAULT_GUILD_CONFIG, getGuildConfig, canManage, denyManage } from '../guildConfig.js';
+import { normalize } from '../util.js';
+import {
+  lettersToIdxArray, validateQuestion, letter, TYPED_TYPES, isTyped, withMeta,
+  typedKeyFromText, typedKeyToText, typedAnswerText
+} from '../questions.js';
+import { bankToCsv } from '../parsing.js';
+import { itemAnalysis, formatQualityReport } from '../analytics.js';
+
+/* ================= BANK MANAGEMENT ================= */
+const BANK_PAGE_SIZE = 10;
+
+function formatBankPage(bankName, items, page, color = DEFAULT_GUILD_CONFIG.color) {
+  const pages = Math.max(1, Math.ceil(items.length / BANK_PAGE_SIZE));
+  const p = Math.min(Math.max(page, 0), pages - 1);
+  const lines = items.slice(p * BANK_PAGE_SIZE, (p + 1) * BANK_PAGE_SIZE).map((q, i) => {
+    const n = p * BANK_PAGE_SIZE + i + 1;
+    const prompt = q.q.length > 90 ? `${q.q.slice(0, 89)}…` : q.q;
+    return `**${n}.** \`${q.type || 'single'}\` ${prompt} — **${isTyped(q) ? typedKeyToText(q).accept : (q.answerIdx || []).map(letter).join(', ')}**`;
+  });
+  const embed = new EmbedBuilder()
+    .setTitle(`📚 ${bankName} — ${items.length} question${items.length === 1 ? '' : 's'}`)
+    .setDescription(lines.join('\n') || '—')
+    .setColor(color)
+    .setFooter({ text: `Page ${p + 1}/${pages} • /bank edit bank:${bankName} number:<n>` });
+  const nav = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId('bank_prev').setLabel('◀ Prev').setStyle(ButtonStyle.Secondary).setDisabled(p === 0),
+    new ButtonBuilder().setCustomId('bank_next').setLabel('Next ▶').setStyle(ButtonStyle.Secondary).setDisabled(p >= pages - 1)
+  );
+  return { page: p, payload: { embeds: [embed], components: pages > 1 ? [nav] : [] } };
+}
+
+function buildQuestionModal(customId, title, qObj = null) {
+  const field = (id, label, style, value, required = true, max = 4000) => {
+    const input = new TextInputBuilder().setCustomId(id).setLabel(label).setStyle(style).setRequired(required).setMaxLength(max);
+    if (value) input.setValue(value.slice(0, max));
+    return new ActionRowBuilder().addComponents(input);
+  };
+  return new ModalBuilder().setCustomId(customId).setTitle(title.slice(0, 45)).addComponents(
+    field('q', 'Question', TextInputStyle.Paragraph, qObj?.q),
+    field('options', 'Options (one per line; none for fill/numeric)', TextInputStyle.Paragraph, qObj?.options?.join('\n'), false),
+    field('answer', 'Answer letters, or accepted text / number', TextInputStyle.Short, isTyped(qObj) ? typedAnswerText(qObj) : qObj?.answerIdx?.map(letter).join(';'), true, 200),
+    field('type', 'Type: single, sata, tf, fill or numeric', TextInputStyle.Short, qObj?.type || 'single', false, 20),
+    field('rationale', 'Rationale', TextInputStyle.Paragraph, qObj?.rationale, false)
+  );
+}
+// Discord modals hold five inputs, so tags, category, difficulty and images aren't in the form: they're
+// carried over from the question being edited. The rest is rebuilt for the chosen type, so switching
+// e.g. fill -> single drops the old accepted answers.
+const MODAL_KEPT_FIELDS = ['tags', 'category', 'difficulty', 'image', 'rationaleImage', 'fixedOrder'];
+function questionFromModal(modalInt, base = {}) {
+  const get = id => normalize(modalInt.fields.getTextInputValue(id));
+  const options = get('options').split(/\r?\n/).map(s => s.replace(/^[A-Z][.)]\s*/i, '').trim()).filter(Boolean);
+  const type = (get('type') || 'single').toLowerCase();
+  const typed = TYPED_TYPES.includes(type);
+  const key = typed
+    ? { options: [], answerIdx: [], ...typedKeyFromText(type, get('answer')) }
+    : { options, answerIdx: [...new Set(lettersToIdxArray(get('answer')))] };
+  const kept = Object.fromEntries(MODAL_KEPT_FIELDS.filter(k => !(typed && k === 'fixedOrder')).map(k => [k, base[k]]));
+  return withMeta({ q: get('q'), type, ...key, rationale: get('rationale') }, kept);
+}
+// Shows the modal, waits for the submit, validates and saves. `index` null = append.
+async function editQuestionViaModal(interaction, bankName, index) {
+  const guildId = interaction.guildId;
+  const items = banks.get(guildId).get(bankName) || [];
+  const existing = index === null ? null : items[index];
+  const customId = `bank_modal_${interaction.id}`;
+  const title = existing ? `Edit ${bankName} #${index + 1}` : `Add to ${bankName}`;
+  await interaction.showModal(buildQuestionModal(customId, title, existing));
+
+  const modalInt = await interaction.awaitModalSubmit({ time: 10 * 60 * 1000, filter: m => m.customId === customId }).catch(() => null);
+  if (!modalInt) return;
+  const row = questionFromModal(modalInt, existing || {});
+  const issues = validateQuestion(row);
+  if (issues.length) return modalInt.reply({ content: `❌ Not saved: ${issues.join(', ')}.`, ephemeral: true });
+
+  const next = [...(banks.get(guildId).get(bankName) || [])]; // copy: the sample bank is shared between guilds
+  if (index === null) next.push(row); else next[index] = row;
+  await storeBank(guildId, bankName, next);
+  const n = index === null ? next.length : index + 1;
+  const kept = existing && MODAL_KEPT_FIELDS.some(k => row[k] !== undefined)
+    ? '\nℹ️ Tags, category, difficulty, images and fixed order were left as they were — the form can\'t edit them (use the /admin dashboard or re-import).'
+    : '';
+  return modalInt.reply({ content: `✅ Saved question **#${n}** in **${bankName}**.\n> ${row.q.slice(0, 200)}${kept}`, ephemeral: true });
+}
+
+export async function handleBankCommand(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const guildId = interaction.guildId;
+  ensureGuildBank(guildId);
+  if (!canManage(interaction)) return denyManage(interaction, '`/bank`');
+
+  const map = banks.get(guildId);
+  const requested = interaction.options.getString('bank')?.trim();
+  const bankName = findBankName(guildId, requested);
+  const notFound = name => interaction.reply({ content: `❌ Bank **${name}** not found. Use \`/quiz list\`.`, ephemeral: true });
+  const questionIndex = items => {
+    const n = interaction.options.getInteger('number');
+    return n >= 1 && n <= items.length ? n - 1 : null;
+  };
+
+  if (sub === 'view') {
+    if (!bankName) return notFound(requested);
+    const { color } = getGuildConfig(guildId);
+    let { page, payload } = formatBankPage(bankName, map.get(bankName), (interaction.options.getInteger('page') ?? 1) - 1, color);
+    await interaction.reply({ ...payload, ephemeral: true });
+    if (!payload.components.length) return;
+    const msg = await interaction.fetchReply();
+    const collector = msg.createMessageComponentCollector({ idle: 120000 });
+    collector.on('collect', async (btnInt) => {
+      const delta = btnInt.customId === 'bank_next' ? 1 : -1;
+      ({ page, payload } = formatBankPage(bankName, map.get(bankName) || [], page + delta, color));
+      try { await btnInt.update(payload); } catch {}
+    });
+    collector.on('end', async () => { try { await interaction.editReply({ components: [] }); } catch {} });
+    return;
+  }
+
+  if (sub === 'edit') {
+    if (!bankName) return notFound(requested);
+    const index = questionIndex(map.get(bankName));
+    if (index === null) return interaction.reply({ content: `❌ **${bankName}** has no question #${interaction.options.getInteger('number')}.`, ephemeral: true });
+    return editQuestionViaModal(interaction, bankName, index);
+  }
+
+  if (sub === 'add') {
+    return editQuestionViaModal(interaction, bankName || requested, null);
+  }
+
+  if (sub === 'remove') {
+    if (!bankName) return notFound(requested);
+    const items = map.get(bankName);
+    const index = questionIndex(items);
+    if (index === null) return interaction.reply({ content: `❌ **${bankName}** has no question #${interaction.options.getInteger('number')}.`, ephemeral: true });
+    const [removed] = items.slice(index, index + 1);
+    await storeBank(guildId, bankName, items.filter((_, i) => i !== index));
+    return interaction.reply({ content: `🗑️ Removed **#${index + 1}** from **${bankName}**:\n> ${removed.q.slice(0, 200)}`, ephemeral: true });
+  }
+
+  if (sub === 'delete') {
+    if (!bankName) return notFound(requested);
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId('bank_delete_confirm').setLabel(`Delete ${bankName}`.slice(0, 80)).setStyle(ButtonStyle.Danger),
+      new ButtonBuilder().setCustomId('bank_delete_cancel').setLabel('Cancel').setStyle(ButtonStyle.Secondary)
+    );
+    await interaction.reply({ content: `⚠️ Delete **${bankName}** (${map.get(bankName).length} questions)? This removes its file too.`, components: [row], ephemeral: true });
+    const msg = await interaction.fetchReply();
+    const choice = await msg.awaitMessageComponent({ time: 30000 }).catch(() => null);
+    if (!choice || choice.customId !== 'bank_delete_confirm') {
+      const content = choice ? '↩️ Cancelled.' : '⏰ No confirmation — nothing deleted.';
+      return choice ? choice.update({ content, components: [] }) : interaction.editReply({ content, components: [] });
+    }
+    map.delete(bankName);
+    if (lastBank.get(guildId) === bankName) lastBank.delete(guildId);
+    await deleteBankFile(guildId, bankName);
+    return choice.update({ content: `🗑️ Deleted bank **${bankName}**.`, components: [] });
+  }
+
+  if (sub === 'rename') {
+    if (!bankName) return notFound(requested);
+    const to = interaction.options.getString('to', true).trim();
+    if (!to || safeName(to) === safeName(bankName)) return interaction.reply({ content: '❌ Pick a different name.', ephemeral: true });
+    if (findBankName(guildId, to)) return interaction.reply({ content: `❌ A bank named **${to}** already exists. Use \`/bank merge\` instead.`, ephemeral: true });
+    const items = map.get(bankName);
+    await storeBank(guildId, to, items);
+    map.delete(bankName);
+    await deleteBankFile(guildId, bankName);
+    if (lastBank.get(guildId) === bankName) lastBank.set(guildId, to);
+    return interaction.reply({ content: `✏️ Renamed **${bankName}** → **${to}**.`, ephemeral: true });
+  }
+
+  if (sub === 'merge') {
+    const fromReq = interaction.options.getString('from', true).trim();
+    const intoReq = interaction.options.getString('into', true).trim();
+    const from = findBankName(guildId, fromReq);
+    if (!from) return notFound(fromReq);
+    const into = findBankName(guildId, intoReq) || intoReq;
+    if (into === from) return interaction.reply({ content: '❌ Source and target are the same bank.', ephemeral: true });
+
+    const target = [...(map.get(into) || [])];
+    const seen = new Set(target.map(dedupeKey));
+    let added = 0, dupes = 0;
+    for (const q of map.get(from)) {
+      const key = dedupeKey(q);
+      if (seen.has(key)) { dupes++; continue; }
+      seen.add(key); target.push(q); added++;
+    }
+    await storeBank(guildId, into, target);
+    let note = '';
+    if (interaction.options.getBoolean('delete_source')) {
+      map.delete(from);
+      if (lastBank.get(guildId) === from) lastBank.set(guildId, into);
+      await deleteBankFile(guildId, from);
+      note = ` Deleted **${from}**.`;
+    }
+    return interaction.reply({ content: `🔀 Merged **${from}** → **${into}**: ${added} added, ${dupes} duplicate${dupes === 1 ? '' : 's'} skipped (${target.length} total).${note}`, ephemeral: true });
+  }
+
+  if (sub === 'export') {
+    if (!bankName) return notFound(requested);
+    const format = interaction.options.getString('format') || 'csv';
+    const items = map.get(bankName);
+    const body = format === 'json' ? JSON.stringify(items, null, 2) : bankToCsv(items);
+    const file = new AttachmentBuilder(Buffer.from(body, 'utf8'), { name: `${safeName(bankName)}.${format}` });
+    return interaction.reply({ content: `📤 **${bankName}** — ${items.length} questions.`, files: [file], ephemeral: true });
+  }
+
+  if (sub === 'report') {
+    if (requested && !bankName) return notFound(requested);
+    await interaction.deferReply({ ephemeral: true });
+    const stats = await itemAnalysis(guildId, bankName);
+    if (!stats.length) return interaction.editReply({ content: 'No questions to report on yet.' });
+    return interaction.editReply(formatQualityReport(bankName || 'all banks', stats, getGuildConfig(guildId).color));
+  }
+}
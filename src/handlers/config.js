@@ -0,0 +1,73 @@
+import {
+  guildConfigs, getGuildConfig, saveGuildConfigsToDisk,
+  updateGuildConfig, isAdmin, describeGuildConfig
+} from '../guildConfig.js';
+import { TEAM_PRESETS } from '../session.js';
+
+/* ================= CONFIG COMMAND ================== */
+export async function handleConfigCommand(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const guildId = interaction.guildId;
+  if (sub === 'view') {
+    return interaction.reply({ content: `⚙️ **Server quiz settings**\n${describeGuildConfig(getGuildConfig(guildId))}`, ephemeral: true, allowedMentions: { parse: [] } });
+  }
+  if (!isAdmin(interaction)) {
+    return interaction.reply({ content: '⛔ **Admin only:** You need the Administrator permission to change `/config`.', ephemeral: true });
+  }
+
+  if (sub === 'set') {
+    const patch = {};
+    const role = interaction.options.getRole('manager_role');
+    if (role) patch.managerRoleId = role.id;
+    const timer = interaction.options.getInteger('timer');
+    if (timer !== null) patch.timer = timer;
+    const count = interaction.options.getInteger('count');
+    if (count !== null) patch.count = count || null;
+    const scoring = interaction.options.getString('scoring');
+    if (scoring) patch.scoring = scoring;
+    const showRationale = interaction.options.getBoolean('show_rationale');
+    if (showRationale !== null) patch.showRationale = showRationale;
+    const shuffle = interaction.options.getBoolean('shuffle');
+    if (shuffle !== null) patch.shuffle = shuffle;
+    const shuffleOpts = interaction.options.getBoolean('shuffle_options');
+    if (shuffleOpts !== null) patch.shuffleOptions = shuffleOpts;
+    const avoidRecent = interaction.options.getInteger('avoid_recent');
+    if (avoidRecent !== null) patch.avoidRecent = avoidRecent;
+    const focusMissed = interaction.options.getBoolean('focus_missed');
+    if (focusMissed !== null) patch.focusMissed = focusMissed;
+    const color = interaction.options.getString('color')?.trim();
+    if (color) {
+      const m = /^#?([0-9a-f]{6})$/i.exec(color);
+      if (!m) return interaction.reply({ content: '❌ Colour must be a hex code like `#00AE86`.', ephemeral: true });
+      patch.color = parseInt(m[1], 16);
+    }
+    if (!Object.keys(patch).length) return interaction.reply({ content: 'ℹ️ Nothing to change — pick at least one option.', ephemeral: true });
+    const cfg = await updateGuildConfig(guildId, patch);
+    return interaction.reply({ content: `✅ Saved.\n${describeGuildConfig(cfg)}`, ephemeral: true, allowedMentions: { parse: [] } });
+  }
+
+  if (sub === 'channel') {
+    const channel = interaction.options.getChannel('channel', true);
+    const allow = interaction.options.getBoolean('allow', true);
+    const current = new Set(getGuildConfig(guildId).channels);
+    if (allow) current.add(channel.id); else current.delete(channel.id);
+    const cfg = await updateGuildConfig(guildId, { channels: [...current] });
+    return interaction.reply({ content: `✅ Quiz channels: ${cfg.channels.length ? cfg.channels.map(id => `<#${id}>`).join(', ') : 'any'}`, ephemeral: true });
+  }
+
+  if (sub === 'teamrole') {
+    const role = interaction.options.getRole('role', true);
+    const add = interaction.options.getBoolean('add', true);
+    const current = new Set(getGuildConfig(guildId).teamRoles);
+    if (add) current.add(role.id); else current.delete(role.id);
+    const cfg = await updateGuildConfig(guildId, { teamRoles: [...current].slice(0, TEAM_PRESETS.length) });
+    const note = cfg.teamRoles.length === 1 ? ' Add at least one more role to use them.' : '';
+    return interaction.reply({ content: `✅ Team roles: ${cfg.teamRoles.length ? cfg.teamRoles.map(id => `<@&${id}>`).join(', ') : 'none (colour teams)'}.${note}`, ephemeral: true, allowedMentions: { parse: [] } });
+  }
+
+  if (sub === 'reset') {
+    delete guildConfigs[guildId];
+    await saveGuildConfigsToDisk();
+    return interaction.reply({ content: `↩️ Settings reset to defaults.\n${describeGuildConfig(getGuildConfig(guildId))}`, ephemeral: true });
+  }
+}
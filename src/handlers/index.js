@@ -0,0 +1,55 @@
+import { handleReportButton } from '../analytics.js';
+import { handleConfigCommand } from './config.js';
+import { handleBankCommand } from './bank.js';
+import { handleScheduleCommand } from './schedule.js';
+import {
+  handleExamCommand, handleStatsCommand, handleReviewCommand, handleLeaderboardCommand
+} from './study.js';
+import { handleQuizCommand } from './quiz.js';
+
+/* ================== INTERACTIONS =================== */
+export async function handleInteraction(interaction) {
+  if (interaction.isButton() && interaction.customId.startsWith('qreport:')) {
+    return handleReportButton(interaction).catch(e => {
+      if (e?.code === 10062 || e?.rawError?.code === 10062 || e?.status === 404) return;
+      console.error('Error handling report:', e);
+    });
+  }
+  if (!interaction.isChatInputCommand()) return;
+
+  if (interaction.commandName === 'ping') {
+    return interaction.reply('Pong! 🏓');
+  }
+
+  if (interaction.commandName === 'config') {
+    return handleConfigCommand(interaction);
+  }
+
+  if (interaction.commandName === 'schedule') {
+    return handleScheduleCommand(interaction);
+  }
+
+  if (interaction.commandName === 'bank') {
+    return handleBankCommand(interaction);
+  }
+
+  if (interaction.commandName === 'exam') {
+    return handleExamCommand(interaction);
+  }
+
+  if (interaction.commandName === 'stats') {
+    return handleStatsCommand(interaction);
+  }
+
+  if (interaction.commandName === 'review') {
+    return handleReviewCommand(interaction);
+  }
+
+  if (interaction.commandName === 'leaderboard') {
+    return handleLeaderboardCommand(interaction);
+  }
+
+  if (interaction.commandName === 'quiz') {
+    return handleQuizCommand(interaction);
+  }
+}
@@ -0,0 +1,179 @@
+import { ActionRowBuilder, StringSelectMenuBuilder, AttachmentBuilder } from 'discord.js';
+import { sessions, banks, lastBank, ensureGuildBank } from '../state.js';
+import { safeName, saveBankToDisk } from '../storage.js';
+import { getGuildConfig, canManage, denyManage, quizAllowedIn } from '../guildConfig.js';
+import { filterQuestions, describeFilters } from '../questions.js';
+import { ZIP_MAX_BYTES, checkQuestionMedia, unpackImportZip } from '../media.js';
+import { parseImport, formatImportReport } from '../parsing.js';
+import { showScoreboard, actuallyStart, DEFAULT_TEAM_COUNT, persistSessions } from '../session.js';
+
+/* ================== QUIZ COMMAND =================== */
+export async function handleQuizCommand(interaction) {
+  const sub = interaction.options.getSubcommand();
+  ensureGuildBank(interaction.guildId);
+
+  if (sub === 'help') {
+    const help = [
+      '**/quiz start** `bank:<name>` `count:<n>` `scoring:<all|plusminus|peroption>` – start a quiz (randomized).',
+      '  ↳ `mode:everyone` – everyone answers privately; `timer:<s>` per question; `min_players:<n>` waits in a lobby.',
+      '  ↳ `tag:<pharm>` `difficulty:<easy|medium|hard>` `all_banks:true` – build a filtered mix across banks.',
+      '  ↳ `mode:teams` `teams:<2-4>` – players join a team before the first question; team standings at the end.',
+      '**/quiz stop** – stop the current quiz in this channel.',
+      '**/quiz score** – show current scoreboard.',
+      '**/quiz list** – list available banks.',
+      '**/quiz import** `file:<csv|tsv|json|gift|txt|zip>` `name:<optional>` – **quiz managers**.',
+      '**/bank** `view|edit|add|remove|delete|rename|merge|export|report` – manage banks and see problem questions, **quiz managers**.',
+      '**/config** `view|set|channel|teamrole|reset` – server defaults, quiz manager role, quiz channels and team roles (**admin only**).',
+      '**/stats** `user:<optional>` – accuracy by bank and over time (saved across quizzes).',
+      '**/leaderboard** `period:<week|month|all>` – server rankings.',
+      '**/review** `bank:<optional>` `count:<n>` – private spaced-repetition drill of the questions you missed.',
+      '**/schedule** `create|list|pause|resume|delete` – recurring quizzes (e.g. a daily question of the day).',
+      '**/exam** `count:<n>` `minutes:<n>` `cut:<%>` `blueprint:<cat:30,…>` – private timed exam with flags and a score report.'
+    ].join('\n');
+    // Import tips go in a second message to stay under Discord's 2000-character limit
+    const tips = [
+      'CSV tips:',
+      '• Use headers like: `question, correct, rationale, a, b, c, d`  **or**',
+      '• `question,type,options,answer,explanation` (options pipe-separated like `A|B|C|D`).',
+      '• Answers can be letters (`A;C`), numbers (`1;3`), or exact option text.',
+      '• Optional columns: `tags` (`pharm|safety`), `category`, `difficulty` (`easy`/`medium`/`hard`).',
+      '• Options are shuffled per quiz ("All of the above" keeps its place); add a `fixed_order` column set to `yes` to keep a question as written.',
+      '• Typed answers: type `fill` with an `accept` column of synonyms (`beta blocker|beta-blocker`), or `numeric` with `accept` like `12.5 mL/hr`; `tolerance` is ± (`0.1`, `5%`) for numbers or a 0–1 fuzzy match for text.',
+      '• Images: `image` and `rationale_image` columns take a URL or a file name; upload a **.zip** with the question file plus the images.',
+      '• Also accepted: Anki/Quizlet tab-separated exports (front/back), Moodle GIFT and Aiken text, and `/bank export` JSON.',
+      '• Use type `sata` for select-all-that-apply; players pick every answer from a menu before it is scored.'
+    ].join('\n');
+    await interaction.reply({ content: help, ephemeral: true });
+    return interaction.followUp({ content: tips, ephemeral: true });
+  }
+
+  if (sub === 'list') {
+    const map = banks.get(interaction.guildId);
+    const entries = [...map.entries()].map(([name, arr]) => `• **${name}** — ${arr.length} q`);
+    return interaction.reply({ content: entries.length ? entries.join('\n') : 'No banks yet. Use `/quiz import` (quiz managers).', ephemeral: true });
+  }
+
+  if (sub === 'stop') {
+    const session = sessions.get(interaction.channelId);
+    if (!session || (!session.active && !session.lobby)) {
+      return interaction.reply({ content: 'ℹ️ No quiz is running in this channel.', ephemeral: true });
+    }
+    try { session.collector?.stop('manual-stop'); } catch {}
+    sessions.delete(interaction.channelId);
+    persistSessions();
+    return interaction.reply({ content: '🛑 **Quiz stopped.** Scoreboard cleared for this channel.' });
+  }
+
+  if (sub === 'import') {
+    // ---- MANAGER-ONLY GUARD ----
+    if (!canManage(interaction)) return denyManage(interaction, '`/quiz import`');
+
+    const attachment = interaction.options.getAttachment('file', true);
+    let name = interaction.options.getString('name')?.trim();
+    if (!name) name = attachment.name.replace(/\.[^/.]+$/, '');
+
+    await interaction.reply({ content: `📥 Reading **${attachment.name}** as bank **${name}**…`, ephemeral: true });
+    try {
+      const res = await fetch(attachment.url);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      let text, fileName = attachment.name, mediaNote = '';
+      if (/\.zip$/i.test(attachment.name)) {
+        if (attachment.size > ZIP_MAX_BYTES) throw new Error(`zip is larger than ${ZIP_MAX_BYTES / 1024 / 1024} MB`);
+        const unpacked = await unpackImportZip(interaction.guildId, Buffer.from(await res.arrayBuffer()));
+        ({ text, fileName } = unpacked);
+        mediaNote = ` 🖼️ ${unpacked.saved} image(s) stored.`;
+      } else {
+        text = await res.text();
+      }
+      const parsed = parseImport(text, fileName);
+      const { items, rejected, unchecked } = await checkQuestionMedia(interaction.guildId, parsed.items, parsed.rejected);
+      if (unchecked) mediaNote += ` ⚠️ ${unchecked} image link(s) not checked (hosts too slow).`;
+      const { meta } = parsed;
+      const files = rejected.length
+        ? [new AttachmentBuilder(Buffer.from(formatImportReport(attachment.name, meta.format, rejected), 'utf8'), { name: `${safeName(name)}-import-report.txt` })]
+        : [];
+      if (items.length === 0) {
+        const headersNote = meta.headers.length ? `Detected headers: \`${meta.headers.join(' | ')}\`\n` : '';
+        return interaction.followUp({ content: `⚠️ No valid rows found (read as **${meta.format}**).\n${headersNote}Rows read: ${meta.rows}\nHint: include **question**, **options (or a|b|c...)**, **answer**.`, files, ephemeral: true });
+      }
+      const map = banks.get(interaction.guildId);
+      map.set(name, items);
+      lastBank.set(interaction.guildId, name);
+      await saveBankToDisk(interaction.guildId, name, items);
+      const skipped = rejected.length ? ` ⚠️ ${rejected.length} row(s) rejected — see the attached report.` : '';
+      await interaction.followUp({ content: `✅ Imported **${items.length}** questions (${meta.format}) into bank **${name}**. Try: \`/quiz start bank:${name}\`${skipped}${mediaNote}`, files, ephemeral: true });
+    } catch (e) {
+      console.error('Import error:', e);
+      await interaction.followUp({ content: `❌ Import failed: ${e.message}`, ephemeral: true });
+    }
+    return;
+  }
+
+  if (sub === 'start') {
+    if (!quizAllowedIn(interaction.guildId, interaction.channelId)) {
+      const { channels } = getGuildConfig(interaction.guildId);
+      return interaction.reply({ content: `⛔ Quizzes run in ${channels.map(id => `<#${id}>`).join(', ')} on this server.`, ephemeral: true });
+    }
+    const requested    = interaction.options.getString('bank')?.trim();
+    const desiredCount = interaction.options.getInteger('count') ?? null;
+    const opts = {
+      scoring:    interaction.options.getString('scoring'),
+      mode:       interaction.options.getString('mode') || 'first',
+      timer:      interaction.options.getInteger('timer'),
+      minPlayers: interaction.options.getInteger('min_players') ?? 1,
+      focusMissed: interaction.options.getBoolean('focus_missed') ?? undefined,
+      teams:      interaction.options.getInteger('teams') ?? DEFAULT_TEAM_COUNT
+    };
+    const filters = {
+      tag:        interaction.options.getString('tag')?.trim() || null,
+      difficulty: interaction.options.getString('difficulty') || null
+    };
+    const map = banks.get(interaction.guildId);
+    const noMatch = where => `⚠️ No questions in ${where} match ${describeFilters(filters)}.`;
+
+    if (interaction.options.getBoolean('all_banks')) {
+      const pool = [...map.entries()].flatMap(([name, items]) => items.map(q => ({ ...q, sourceBank: name })));
+      const picked = filterQuestions(pool, filters);
+      if (!picked.length) return interaction.reply({ content: noMatch('any bank'), ephemeral: true });
+      return actuallyStart(interaction, picked, desiredCount, { ...opts, bankName: 'all banks' });
+    }
+
+    let chosenName = requested || lastBank.get(interaction.guildId);
+    if (!chosenName && map.size === 1) chosenName = [...map.keys()][0];
+
+    if (!chosenName) {
+      const options = [...map.keys()].slice(0,25).map(name => ({
+        label: name, value: name, description: `${map.get(name).length} questions`
+      }));
+      const menu = new StringSelectMenuBuilder().setCustomId('bank_select').setPlaceholder('Choose a question bank').addOptions(options);
+      await interaction.reply({ content: 'Please choose a bank to start:', components: [ new ActionRowBuilder().addComponents(menu) ], ephemeral: true });
+
+      const msg = await interaction.fetchReply();
+      const collector = msg.createMessageComponentCollector({ time: 20000 });
+      collector.on('collect', async (sel) => {
+        if (sel.customId !== 'bank_select') return;
+        const picked = sel.values[0];
+        const items  = filterQuestions(map.get(picked), filters);
+        if (!items.length) return sel.update({ content: noMatch(`**${picked}**`), components: [] });
+        await sel.update({ content: `Starting **${picked}**…`, components: [] });
+        lastBank.set(interaction.guildId, picked);
+        return actuallyStart(interaction, items, desiredCount, { ...opts, bankName: picked });
+      });
+      collector.on('end', async (c) => { if (c.size === 0) try { await interaction.editReply({ content: '⏰ No bank selected.', components: [] }); } catch {} });
+      return;
+    }
+
+    const bank = map.get(chosenName);
+    if (!bank) return interaction.reply({ content: `❌ Bank **${requested || chosenName}** not found. Use \`/quiz list\`.`, ephemeral: true });
+    const items = filterQuestions(bank, filters);
+    if (!items.length) return interaction.reply({ content: noMatch(`**${chosenName}**`), ephemeral: true });
+    lastBank.set(interaction.guildId, chosenName);
+    return actuallyStart(interaction, items, desiredCount, { ...opts, bankName: chosenName });
+  }
+
+  if (sub === 'score') {
+    const session = sessions.get(interaction.channelId) || { scoreboard: new Map() };
+    await interaction.reply({ content: 'Fetching scores…', ephemeral: true });
+    await showScoreboard(interaction, session);
+  }
+}
@@ -0,0 +1,68 @@
+import { ensureGuildBank } from '../state.js';
+import { findBankName } from '../storage.js';
+import { canManage, denyManage, quizAllowedIn } from '../guildConfig.js';
+import {
+  DEFAULT_TZ, schedules, saveSchedulesToDisk, parseCron, isValidTimeZone, describeSchedule
+} from '../scheduler.js';
+
+/* ================ SCHEDULE COMMAND ================= */
+export async function handleScheduleCommand(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const guildId = interaction.guildId;
+  ensureGuildBank(guildId);
+
+  if (sub === 'list') {
+    const mine = schedules.filter(s => s.guildId === guildId);
+    return interaction.reply({ content: mine.length ? `📅 **Schedules**\n${mine.map(describeSchedule).join('\n')}` : '📅 No schedules yet. Try `/schedule create`.', ephemeral: true });
+  }
+
+  if (!canManage(interaction)) return denyManage(interaction, '`/schedule`');
+
+  if (sub === 'create') {
+    const bankName = findBankName(guildId, interaction.options.getString('bank', true).trim());
+    if (!bankName) return interaction.reply({ content: '❌ Bank not found. Use `/quiz list`.', ephemeral: true });
+    const tz = interaction.options.getString('timezone')?.trim() || DEFAULT_TZ;
+    if (!isValidTimeZone(tz)) return interaction.reply({ content: `❌ Unknown timezone **${tz}**. Use an IANA name like \`America/Chicago\`.`, ephemeral: true });
+
+    let cron = interaction.options.getString('cron')?.trim();
+    if (!cron) {
+      const time = /^(\d{1,2}):(\d{2})$/.exec(interaction.options.getString('time')?.trim() || '');
+      if (!time || +time[1] > 23 || +time[2] > 59) {
+        return interaction.reply({ content: '❌ Give a `time` like `19:30` (24h), or a `cron` expression like `0 9 * * 1-5`.', ephemeral: true });
+      }
+      const repeat = interaction.options.getString('repeat') || 'daily';
+      const dow = repeat === 'weekly' ? (interaction.options.getString('day') || 'mon') : repeat === 'weekdays' ? '1-5' : '*';
+      cron = `${+time[2]} ${+time[1]} * * ${dow}`;
+    }
+    if (!parseCron(cron)) return interaction.reply({ content: `❌ Invalid cron \`${cron}\` (expected 5 fields: minute hour day month weekday).`, ephemeral: true });
+
+    const channel = interaction.options.getChannel('channel') || interaction.channel;
+    if (!quizAllowedIn(guildId, channel.id)) return interaction.reply({ content: `⛔ Quizzes aren't allowed in <#${channel.id}> (see \`/config view\`).`, ephemeral: true });
+    const schedule = {
+      id: Math.random().toString(36).slice(2, 8),
+      guildId, channelId: channel.id, cron, tz, bank: bankName,
+      count: interaction.options.getInteger('count') ?? null,
+      mode: interaction.options.getString('mode') || 'first',
+      timer: interaction.options.getInteger('timer') ?? null,
+      paused: false, createdBy: interaction.user.id, lastRunKey: null, lastRunAt: null
+    };
+    schedules.push(schedule);
+    await saveSchedulesToDisk();
+    return interaction.reply({ content: `✅ Scheduled:\n${describeSchedule(schedule)}`, ephemeral: true });
+  }
+
+  const id = interaction.options.getString('id', true).trim();
+  const schedule = schedules.find(s => s.guildId === guildId && s.id === id);
+  if (!schedule) return interaction.reply({ content: `❌ No schedule \`${id}\`. See \`/schedule list\`.`, ephemeral: true });
+
+  if (sub === 'pause' || sub === 'resume') {
+    schedule.paused = sub === 'pause';
+    await saveSchedulesToDisk();
+    return interaction.reply({ content: `${schedule.paused ? '⏸️ Paused' : '▶️ Resumed'}:\n${describeSchedule(schedule)}`, ephemeral: true });
+  }
+  if (sub === 'delete') {
+    schedules.splice(schedules.indexOf(schedule), 1);
+    await saveSchedulesToDisk();
+    return interaction.reply({ content: `🗑️ Deleted schedule \`${id}\`.`, ephemeral: true });
+  }
+}
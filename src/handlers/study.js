@@ -0,0 +1,124 @@
+import { EmbedBuilder } from 'discord.js';
+import { banks, lastBank, ensureGuildBank } from '../state.js';
+import { findBankName } from '../storage.js';
+import { getGuildConfig } from '../guildConfig.js';
+import { DAY_MS, loadHistory, summarizeAnswers, dayStreak, PERIODS } from '../history.js';
+import { validateQuestion } from '../questions.js';
+import { dueReviewCards, runReview } from '../review.js';
+import { exams, DEFAULT_CUT_PCT, parseBlueprint, buildExamSet, runExam } from '../exam.js';
+
+/* ================= STUDY COMMANDS ================== */
+export async function handleExamCommand(interaction) {
+  ensureGuildBank(interaction.guildId);
+  const guildId = interaction.guildId;
+  if (exams.has(`${guildId}:${interaction.user.id}`)) {
+    return interaction.reply({ content: '⚠️ You already have an exam in progress. Finish or submit it first.', ephemeral: true });
+  }
+  const map = banks.get(guildId);
+  const allBanks = interaction.options.getBoolean('all_banks');
+  const requested = interaction.options.getString('bank')?.trim();
+  const bankName = allBanks ? 'all banks' : findBankName(guildId, requested || lastBank.get(guildId));
+  if (!bankName) return interaction.reply({ content: `❌ Bank **${requested}** not found. Use \`/quiz list\`.`, ephemeral: true });
+  const pool = allBanks
+    ? [...map.entries()].flatMap(([name, items]) => items.map(q => ({ ...q, sourceBank: name })))
+    : map.get(bankName);
+
+  let blueprint;
+  try { blueprint = parseBlueprint(interaction.options.getString('blueprint')); }
+  catch (e) { return interaction.reply({ content: `❌ ${e.message}`, ephemeral: true }); }
+
+  const count = Math.min(interaction.options.getInteger('count') ?? 25, pool.length);
+  const { questions, shortfalls } = buildExamSet(pool.filter(q => !validateQuestion(q).length), count, blueprint);
+  if (!questions.length) return interaction.reply({ content: '⚠️ That bank has no usable questions.', ephemeral: true });
+  const minutes = interaction.options.getInteger('minutes') ?? Math.max(1, Math.ceil(questions.length * 1.5));
+  const now = Date.now();
+  const exam = {
+    guildId, bankName, questions, index: 0,
+    answers: questions.map(() => null), flagged: new Set(), time: questions.map(() => 0),
+    scoring: interaction.options.getString('scoring') || getGuildConfig(guildId).scoring,
+    cut: interaction.options.getInteger('cut') ?? DEFAULT_CUT_PCT,
+    color: getGuildConfig(guildId).color,
+    startedAt: now, deadline: now + minutes * 60000
+  };
+  await runExam(interaction, exam);
+  if (shortfalls.length) {
+    await interaction.followUp({ content: `ℹ️ Not enough questions for the full blueprint (${shortfalls.join(', ')}); the rest were drawn from the whole pool.`, ephemeral: true });
+  }
+}
+
+export async function handleStatsCommand(interaction) {
+  const target = interaction.options.getUser('user') || interaction.user;
+  const rows = (await loadHistory(interaction.guildId)).filter(r => r.userId === target.id);
+  if (!rows.length) return interaction.reply({ content: `📈 No study history for **${target.username}** yet. Join a \`/quiz\`!`, ephemeral: true });
+
+  const overall = summarizeAnswers(rows);
+  const byBank = new Map();
+  for (const r of rows) {
+    const key = r.bank || 'unknown';
+    if (!byBank.has(key)) byBank.set(key, []);
+    byBank.get(key).push(r);
+  }
+  const bankLines = [...byBank.entries()]
+    .map(([name, list]) => [name, summarizeAnswers(list)])
+    .sort((a, b) => b[1].answered - a[1].answered)
+    .slice(0, 15)
+    .map(([name, s]) => `• **${name}** — ${s.pct}% (${s.correct}/${s.answered})`);
+
+  const weekLines = [];
+  for (let w = 3; w >= 0; w--) {
+    const from = Date.now() - (w + 1) * 7 * DAY_MS, to = Date.now() - w * 7 * DAY_MS;
+    const s = summarizeAnswers(rows.filter(r => r.ts >= from && r.ts < to));
+    const label = w === 0 ? 'Last 7 days' : `${w} week${w > 1 ? 's' : ''} ago`;
+    weekLines.push(`• ${label}: ${s.answered ? `${s.pct}% (${s.correct}/${s.answered})` : '—'}`);
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle(`📈 Study stats — ${target.username}`)
+    .setColor(getGuildConfig(interaction.guildId).color)
+    .setDescription(`**${overall.pct}%** correct over **${overall.answered}** answers • ${overall.points} pts • 🔥 ${dayStreak(rows)}-day streak`)
+    .addFields(
+      { name: 'By bank', value: bankLines.join('\n') || '—' },
+      { name: 'Over time', value: weekLines.join('\n') }
+    );
+  return interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+export async function handleReviewCommand(interaction) {
+  ensureGuildBank(interaction.guildId);
+  const requested = interaction.options.getString('bank')?.trim();
+  const bankName = requested ? findBankName(interaction.guildId, requested) : null;
+  if (requested && !bankName) return interaction.reply({ content: `❌ Bank **${requested}** not found. Use \`/quiz list\`.`, ephemeral: true });
+  const limit    = interaction.options.getInteger('count') ?? 10;
+  const { due, total, mastered, nextDue } = await dueReviewCards(interaction.guildId, interaction.user.id, bankName);
+  if (!total) {
+    return interaction.reply({ content: '🔁 Nothing to review yet — answer some questions in a `/quiz` first.', ephemeral: true });
+  }
+  if (!due.length) {
+    const when = Number.isFinite(nextDue) ? `<t:${Math.floor(nextDue / 1000)}:R>` : 'later';
+    return interaction.reply({ content: `🎉 No cards due today (${total} tracked, ${mastered} mastered). Next card is due ${when}.`, ephemeral: true });
+  }
+  return runReview(interaction, due.slice(0, limit), due.length);
+}
+
+export async function handleLeaderboardCommand(interaction) {
+  const period = PERIODS[interaction.options.getString('period') || 'week'];
+  const since  = period.since();
+  const rows = (await loadHistory(interaction.guildId)).filter(r => r.ts >= since && !r.mode); // group quizzes only, not /review or /exam
+  if (!rows.length) return interaction.reply({ content: `🏆 No answers recorded (${period.label.toLowerCase()}).`, ephemeral: true });
+
+  const byUser = new Map();
+  for (const r of rows) {
+    if (!byUser.has(r.userId)) byUser.set(r.userId, []);
+    byUser.get(r.userId).push(r);
+  }
+  const ranked = [...byUser.entries()]
+    .map(([userId, list]) => [userId, summarizeAnswers(list)])
+    .sort((a, b) => b[1].points - a[1].points || b[1].pct - a[1].pct)
+    .slice(0, 10);
+  const lines = await Promise.all(ranked.map(async ([userId, s], idx) => {
+    const user = await interaction.client.users.fetch(userId).catch(()=>null);
+    const name = user ? user.username : `User ${userId}`;
+    return `${idx+1}. **${name}** — ${s.points} pts • ${s.pct}% (${s.correct}/${s.answered})`;
+  }));
+  return interaction.reply({ content: `🏆 **Leaderboard — ${period.label}**\n${lines.join('\n')}` });
+}
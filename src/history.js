@@ -0,0 +1,57 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { DATA_DIR, safeName } from './storage.js';
+
+/* ================== STUDY HISTORY ================== */
+// One JSON line per answer: data/history/<guildId>.jsonl
+// { ts, guildId, channelId, userId, bank, qKey, q, choice:number[], correct, points, ms, mode? }
+const HISTORY_DIR = path.join(DATA_DIR, 'history');
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+function historyPath(guildId) {
+  return path.join(HISTORY_DIR, `${safeName(guildId)}.jsonl`);
+}
+// Stable id for a question across reloads/re-imports (prompt + options in bank order, so shuffled copies keep it)
+export function questionKey(qObj) {
+  const options = qObj.optionOrder ? qObj.optionOrder.map((_, i) => qObj.options[qObj.optionOrder.indexOf(i)]) : (qObj.options || []);
+  return createHash('sha1').update(`${qObj.q}\u0000${options.join('\u0000')}`).digest('hex').slice(0, 12);
+}
+export async function recordAnswer(entry) {
+  try {
+    await fs.mkdir(HISTORY_DIR, { recursive: true });
+    await fs.appendFile(historyPath(entry.guildId), JSON.stringify(entry) + '\n', 'utf8');
+  } catch (e) {
+    console.error('History write failed:', e);
+  }
+}
+export async function loadHistory(guildId) {
+  const text = await fs.readFile(historyPath(guildId), 'utf8').catch(() => '');
+  const out = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try { out.push(JSON.parse(line)); } catch {} // skip a torn last line
+  }
+  return out;
+}
+
+export function summarizeAnswers(rows) {
+  const answered = rows.length;
+  const correct  = rows.filter(r => r.correct).length;
+  const points   = Math.round(rows.reduce((s, r) => s + (r.points || 0), 0) * 100) / 100;
+  return { answered, correct, points, pct: answered ? Math.round((correct / answered) * 100) : 0 };
+}
+// Consecutive UTC days with at least one answer, ending today or yesterday
+export function dayStreak(rows) {
+  const days = new Set(rows.map(r => Math.floor(r.ts / DAY_MS)));
+  let day = Math.floor(Date.now() / DAY_MS);
+  if (!days.has(day)) day -= 1;
+  let streak = 0;
+  while (days.has(day)) { streak++; day--; }
+  return streak;
+}
+export const PERIODS = {
+  week:  { label: 'Last 7 days',  since: () => Date.now() - 7 * DAY_MS },
+  month: { label: 'Last 30 days', since: () => Date.now() - 30 * DAY_MS },
+  all:   { label: 'All time',     since: () => 0 }
+};
@@ -0,0 +1,149 @@
+import { EmbedBuilder, AttachmentBuilder } from 'discord.js';
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { inflateRawSync } from 'zlib';
+import { DATA_DIR, safeName, writeFileAtomic } from './storage.js';
+import { DEFAULT_GUILD_CONFIG } from './guildConfig.js';
+import { sourceRow } from './parsing.js';
+
+/* ====================== MEDIA ====================== */
+// `image` / `rationaleImage` on a question: an http(s) URL, or the file name of an
+// upload stored in data/media/<guildId>/ (sent as an attachment when shown).
+const MEDIA_DIR = path.join(DATA_DIR, 'media');
+export const MEDIA_EXT = /\.(png|jpe?g|gif|webp)$/i;
+const MEDIA_MAX_BYTES = 8 * 1024 * 1024;
+export const ZIP_MAX_BYTES = 50 * 1024 * 1024;
+// Limits on what a zip may unpack to, so a small upload can't inflate into gigabytes
+const ZIP_MAX_ENTRIES = 1000;
+const ZIP_MAX_INFLATED_BYTES = 200 * 1024 * 1024;
+
+export const isUrl = ref => /^https?:\/\//i.test(ref || '');
+const mediaFileName = ref => safeName(path.basename(String(ref).replace(/\\/g, '/')));
+function mediaPath(guildId, ref) {
+  return path.join(MEDIA_DIR, safeName(guildId), mediaFileName(ref));
+}
+
+// Sets the image on an embed; returns the files to send alongside it.
+// An upload deleted since import is left out so the question still posts as text.
+export function attachImage(embed, guildId, ref) {
+  if (!ref) return [];
+  if (isUrl(ref)) { embed.setImage(ref); return []; }
+  if (!existsSync(mediaPath(guildId, ref))) { console.error(`🖼️ Missing media file ${ref} for guild ${guildId}`); return []; }
+  const name = mediaFileName(ref);
+  embed.setImage(`attachment://${name}`);
+  return [new AttachmentBuilder(mediaPath(guildId, ref), { name })];
+}
+// Small embed carrying just the rationale image for reveal messages
+export function rationaleImagePayload(guildId, qObj, color = DEFAULT_GUILD_CONFIG.color) {
+  if (!qObj.rationaleImage) return { embeds: [], files: [] };
+  const embed = new EmbedBuilder().setColor(color);
+  const files = attachImage(embed, guildId, qObj.rationaleImage);
+  if (!embed.data.image) return { embeds: [], files: [] };
+  return { embeds: [embed], files };
+}
+
+async function mediaExists(guildId, ref) {
+  if (!isUrl(ref)) return fs.access(mediaPath(guildId, ref)).then(() => true, () => false);
+  try {
+    let res = await fetch(ref, { method: 'HEAD', signal: AbortSignal.timeout(5000) });
+    if (res.status === 405) res = await fetch(ref, { signal: AbortSignal.timeout(5000) });
+    return res.ok && /^image\//i.test(res.headers.get('content-type') || 'image/');
+  } catch {
+    return false;
+  }
+}
+export async function mediaIssues(guildId, q) {
+  const issues = [];
+  for (const field of ['image', 'rationaleImage']) {
+    if (q[field] && !(await mediaExists(guildId, q[field]))) issues.push(`${field} not found: ${q[field]}`);
+  }
+  return issues;
+}
+// Moves rows whose image/rationaleImage can't be found into `rejected`, numbered like the parser's rows.
+// Each distinct reference is checked once, a few at a time; whatever is still unchecked when the time
+// budget runs out is let through and counted in `unchecked`, so big imports finish inside the interaction window.
+const MEDIA_CHECK_CONCURRENCY = 8;
+const MEDIA_CHECK_BUDGET_MS = 60000;
+export async function checkQuestionMedia(guildId, items, rejected = [], { budgetMs = MEDIA_CHECK_BUDGET_MS } = {}) {
+  const refs = [...new Set(items.flatMap(q => [q.image, q.rationaleImage]).filter(Boolean))];
+  const found = new Map();
+  const deadline = Date.now() + budgetMs;
+  let next = 0;
+  const worker = async () => {
+    while (next < refs.length && Date.now() < deadline) {
+      const ref = refs[next++];
+      found.set(ref, await mediaExists(guildId, ref));
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(MEDIA_CHECK_CONCURRENCY, refs.length) }, worker));
+
+  const ok = [];
+  for (const [i, q] of items.entries()) {
+    const issues = ['image', 'rationaleImage'].filter(f => q[f] && found.get(q[f]) === false).map(f => `${f} not found: ${q[f]}`);
+    if (issues.length) rejected.push({ row: sourceRow(q) ?? i + 1, issues, preview: q.q });
+    else ok.push(q);
+  }
+  rejected.sort((a, b) => a.row - b.row);
+  return { items: ok, rejected, unchecked: refs.length - found.size };
+}
+async function saveMediaFile(guildId, name, data) {
+  const dir = path.join(MEDIA_DIR, safeName(guildId));
+  await fs.mkdir(dir, { recursive: true });
+  await writeFileAtomic(path.join(dir, mediaFileName(name)), data);
+}
+
+// Minimal zip reader (stored + deflate), enough for "questions.csv + images" uploads
+function readZipEntries(buf) {
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('Not a zip file');
+  const count = buf.readUInt16LE(eocd + 10);
+  if (count > ZIP_MAX_ENTRIES) throw new Error(`The zip has more than ${ZIP_MAX_ENTRIES} files`);
+  let p = buf.readUInt32LE(eocd + 16);
+  const out = [];
+  let total = 0;
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(p) !== 0x02014b50) throw new Error('Corrupt zip directory');
+    const method = buf.readUInt16LE(p + 10);
+    const size = buf.readUInt32LE(p + 20), fullSize = buf.readUInt32LE(p + 24);
+    const nameLen = buf.readUInt16LE(p + 28), extraLen = buf.readUInt16LE(p + 30), commentLen = buf.readUInt16LE(p + 32);
+    const local = buf.readUInt32LE(p + 42);
+    const name = buf.toString('utf8', p + 46, p + 46 + nameLen);
+    p += 46 + nameLen + extraLen + commentLen;
+    if (name.endsWith('/') || name.startsWith('__MACOSX/')) continue;
+    const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+    const raw = buf.subarray(start, start + size);
+    if (method !== 0 && method !== 8) throw new Error(`Unsupported compression for ${name}`);
+    const tooLarge = () => new Error(`${name} is larger than ${MEDIA_MAX_BYTES / 1024 / 1024} MB`);
+    if (fullSize > MEDIA_MAX_BYTES || size > MEDIA_MAX_BYTES) throw tooLarge();
+    let data = raw;
+    if (method === 8) {
+      // The directory's size can lie; maxOutputLength stops the inflate itself
+      try { data = inflateRawSync(raw, { maxOutputLength: MEDIA_MAX_BYTES }); } catch (e) {
+        if (e?.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+        throw e;
+      }
+    }
+    total += data.length;
+    if (total > ZIP_MAX_INFLATED_BYTES) throw new Error(`The zip unpacks to more than ${ZIP_MAX_INFLATED_BYTES / 1024 / 1024} MB`);
+    out.push({ name, data });
+  }
+  return out;
+}
+
+// -> { text, fileName, saved } : the question file's text plus how many images were stored
+export async function unpackImportZip(guildId, buf) {
+  const entries = readZipEntries(buf);
+  const questionFile = entries.find(e => /\.(csv|tsv|json|gift|txt)$/i.test(e.name));
+  if (!questionFile) throw new Error('The zip needs a .csv, .tsv, .json, .gift or .txt question file.');
+  let saved = 0;
+  for (const e of entries) {
+    if (!MEDIA_EXT.test(e.name)) continue;
+    await saveMediaFile(guildId, e.name, e.data);
+    saved++;
+  }
+  return { text: questionFile.data.toString('utf8'), fileName: questionFile.name, saved };
+}
@@ -0,0 +1,356 @@
+import path from 'path';
+import { normalize } from './util.js';
+import {
+  lettersToIdxArray, validateQuestion, parseDifficulty, parseTags, withMeta,
+  letter, TYPED_TYPES, isTyped, typedKeyFromText, typedKeyToText
+} from './questions.js';
+import { shuffled } from './selection.js';
+
+// question -> the row/line the importer read it from, so later checks report the same numbers as the parser
+const sourceRows = new WeakMap();
+export const sourceRow = q => sourceRows.get(q);
+
+/* ===================== CSV PARSER ================== */
+// Splits the whole text into records so quoted cells may contain newlines.
+// -> [{ line: 1-based source line the record starts on, cells: string[] }]
+function parseCsvRecords(text, delim = ',') {
+  const out = []; let cells = []; let cur = ''; let inQ = false; let line = 1; let start = 1;
+  const endRecord = () => {
+    cells.push(cur);
+    if (cells.some(c => c.trim().length)) out.push({ line: start, cells });
+    cells = []; cur = '';
+  };
+  for (let i=0;i<text.length;i++){
+    const ch=text[i];
+    if (ch === '"'){ if(inQ && text[i+1]==='"'){cur+='"'; i++;} else inQ=!inQ; }
+    else if (ch === delim && !inQ){ cells.push(cur); cur=''; }
+    else if ((ch === '\n' || ch === '\r') && !inQ){
+      if (ch === '\r' && text[i+1] === '\n') i++;
+      endRecord(); line++; start = line;
+    }
+    else { if (ch === '\n') line++; cur+=ch; }
+  }
+  if (cur.length || cells.length) endRecord();
+  return out;
+}
+export function parseCsvSmart(text, { delimiter = ',' } = {}) {
+  const records = parseCsvRecords(text.replace(/^\uFEFF/, ''), delimiter);
+  if (!records.length) return { items: [], rejected: [], meta: { rows: 0, headers: [] } };
+
+  const headers = records.shift().cells.map(h => h.trim().toLowerCase());
+  const map = {};
+  headers.forEach((h,i)=>{
+    if (['question','prompt','stem'].includes(h)) map.question=i;
+    if (['type','qtype'].includes(h)) map.type=i;
+    if (['options','choices','opts'].includes(h)) map.options=i;
+    if (['answer','answers','key','correct'].includes(h)) map.answer=i;
+    if (['explanation','rationale','why'].includes(h)) map.explanation=i;
+    if (['tags','tag','keywords'].includes(h)) map.tags=i;
+    if (['category','topic','subject'].includes(h)) map.category=i;
+    if (['difficulty','level'].includes(h)) map.difficulty=i;
+    if (['image','img','picture'].includes(h)) map.image=i;
+    if (['rationale_image','rationaleimage','explanation_image'].includes(h)) map.rationaleImage=i;
+    if (['fixed_order','keep_order','no_shuffle'].includes(h)) map.fixedOrder=i;
+    if (['accept','accepted','synonyms'].includes(h)) map.accept=i;
+    if (['tolerance','tol','fuzzy'].includes(h)) map.tolerance=i;
+    if (!map.optCols) map.optCols = {};
+    if (/^[a-z]$/.test(h)) map.optCols[h]=i; // allow a,b,c,d,... columns
+  });
+
+  const hasAnyOptions = (map.options !== undefined) || (map.optCols && Object.keys(map.optCols).length>0);
+  const typedOnly = map.accept !== undefined && map.type !== undefined; // fill/numeric banks need no options column
+  if (map.question===undefined || (!typedOnly && (!hasAnyOptions || map.answer===undefined))) {
+    throw new Error(`Headers must include at least: question, options (or a|b|c...), answer — or question, type, accept. Detected: ${headers.join(' | ')}`);
+  }
+
+  const letterOrder = 'abcdefghijklmnopqrstuvwxyz'.split('');
+  const optLetterCols = letterOrder.filter(l => map.optCols && map.optCols[l] !== undefined).slice(0,25);
+
+  const items = []; const rejected = [];
+  for (const { line, cells: rawCells } of records) {
+    const cells = rawCells.map(s=>s.trim());
+    const q = normalize(cells[map.question]);
+    const t = normalize(cells[map.type] || 'single').toLowerCase();
+    const meta = {
+      tags: map.tags !== undefined ? parseTags(cells[map.tags]) : undefined,
+      category: map.category !== undefined ? normalize(cells[map.category]) : undefined,
+      difficulty: map.difficulty !== undefined ? parseDifficulty(cells[map.difficulty]) : undefined,
+      image: map.image !== undefined ? normalize(cells[map.image]) : undefined,
+      rationaleImage: map.rationaleImage !== undefined ? normalize(cells[map.rationaleImage]) : undefined,
+      fixedOrder: map.fixedOrder !== undefined && /^(y|yes|true|1|x)$/i.test(normalize(cells[map.fixedOrder])) ? true : undefined
+    };
+    const rationale = normalize(map.explanation!==undefined ? cells[map.explanation] : '');
+
+    if (TYPED_TYPES.includes(t)) {
+      // `accept` holds synonyms (a|b) or the number + unit; the answer column works as a fallback
+      const acceptText = normalize(map.accept !== undefined && cells[map.accept] ? cells[map.accept] : cells[map.answer]);
+      const key = typedKeyFromText(t, acceptText, map.tolerance !== undefined ? cells[map.tolerance] : '');
+      const row = withMeta({ q, type: t, options: [], answerIdx: [], ...key, rationale }, meta);
+      const issues = validateQuestion(row);
+      if (!issues.length) { items.push(row); sourceRows.set(row, line); }
+      else rejected.push({ row: line, issues, preview: q || rawCells.join(delimiter) });
+      continue;
+    }
+
+    let options = [];
+    if (map.options !== undefined) {
+      const optionsStr = normalize(cells[map.options]);
+      if (optionsStr.includes('|')) options = optionsStr.split('|');
+      else if (optionsStr.includes(' ; ')) options = optionsStr.split(' ; ');
+      else if (optionsStr.includes(';')) options = optionsStr.split(';');
+      else options = [optionsStr];
+    } else {
+      options = optLetterCols.map(l => cells[map.optCols[l]]).filter(Boolean);
+    }
+
+    options = options.map(s => s.replace(/^[A-Z]\.\s*/i,'').trim()).filter(Boolean);
+    if ((t==='tf'||t==='truefalse') && options.length===0) options=['True','False'];
+    if (options.length>25) options=options.slice(0,25);
+
+    const ansRaw = normalize(cells[map.answer]);
+    let answerIdx = lettersToIdxArray(ansRaw).filter(i => i < options.length);
+    if (!answerIdx.length && ansRaw) {
+      const texts = ansRaw.split(/;|,|\|/).map(s=>s.trim().toLowerCase()).filter(Boolean);
+      texts.forEach(txt => {
+        const ix = options.findIndex(o => o.toLowerCase() === txt);
+        if (ix >= 0) answerIdx.push(ix);
+      });
+    }
+
+    const row = withMeta({ q, type: t, options, answerIdx, rationale }, meta);
+    const issues = validateQuestion(row);
+    if (!issues.length) { items.push(row); sourceRows.set(row, line); }
+    else rejected.push({ row: line, issues, preview: q || rawCells.join(delimiter) });
+  }
+
+  return { items, rejected, meta: { rows: records.length, headers } };
+}
+
+/* ================== IMPORT FORMATS ================= */
+// Every parser returns { items, rejected: [{ row, issues, preview }], meta: { rows, headers } }
+function detectImportFormat(fileName, text) {
+  const ext = (path.extname(fileName || '').slice(1) || '').toLowerCase();
+  if (ext === 'json') return 'json';
+  if (ext === 'gift') return 'gift';
+  if (ext === 'tsv') return 'tsv';
+  if (ext === 'csv') return 'csv';
+  const body = text.replace(/^\uFEFF/, '').trim();
+  if (/^[\[{]/.test(body)) return 'json';
+  if (/^ANSWER:\s*[A-Z]/im.test(body)) return 'aiken';
+  if (/\{[^}]*(=|~|TRUE|FALSE|\bT\b|\bF\b)[^}]*\}/.test(body) && /^(::|\/\/|[^\n]*\{)/m.test(body)) return 'gift';
+  const firstLine = body.split(/\r?\n/).find(l => !l.startsWith('#')) || '';
+  if (firstLine.includes('\t')) return 'tsv';
+  return 'csv';
+}
+
+export function parseImport(text, fileName) {
+  const format = detectImportFormat(fileName, text);
+  const parsers = { csv: parseCsvSmart, tsv: parseTsvFlashcards, json: parseJsonBank, gift: parseGift, aiken: parseAiken };
+  const res = parsers[format](text);
+  return { ...res, meta: { ...res.meta, format } };
+}
+
+function checkRow(row, rowNum, items, rejected, preview) {
+  const issues = validateQuestion(row);
+  if (!issues.length) { items.push(row); sourceRows.set(row, rowNum); }
+  else rejected.push({ row: rowNum, issues, preview: preview || row.q || '' });
+}
+
+// The bot's own data/*.json shape (also accepts { questions: [...] })
+function parseJsonBank(text) {
+  let data;
+  try { data = JSON.parse(text.replace(/^\uFEFF/, '')); }
+  catch (e) { throw new Error(`Invalid JSON: ${e.message}`); }
+  const list = Array.isArray(data) ? data : Array.isArray(data?.questions) ? data.questions : null;
+  if (!list) throw new Error('JSON must be an array of questions (or { "questions": [...] }).');
+
+  const items = []; const rejected = [];
+  list.forEach((raw, i) => {
+    if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+      rejected.push({ row: i + 1, issues: ['not a question object'], preview: JSON.stringify(raw)?.slice(0, 80) ?? '' });
+      return;
+    }
+    const row = {
+      q: normalize(raw?.q ?? raw?.question),
+      type: normalize(raw?.type || 'single').toLowerCase(),
+      options: Array.isArray(raw?.options) ? raw.options.map(normalize).filter(Boolean) : [],
+      answerIdx: Array.isArray(raw?.answerIdx) ? raw.answerIdx : [],
+      rationale: normalize(raw?.rationale)
+    };
+    const meta = {
+      tags: Array.isArray(raw?.tags) ? raw.tags : raw?.tags ? parseTags(raw.tags) : undefined,
+      category: raw?.category,
+      difficulty: raw?.difficulty !== undefined ? parseDifficulty(raw.difficulty) : undefined
+    };
+    const { tags: _t, category: _c, difficulty: _d, ...rest } = raw || {};
+    checkRow(withMeta({ ...rest, ...row }, meta), i + 1, items, rejected);
+  });
+  return { items, rejected, meta: { rows: list.length, headers: [] } };
+}
+
+// Anki "Notes in Plain Text" / Quizlet export: front<TAB>back per line.
+// A header row with question/options/answer columns is read as tab-separated CSV instead.
+// Flashcards become single-answer questions with up to 3 other cards' backs as distractors.
+function stripAnkiHtml(s) {
+  return normalize(s).replace(/<br\s*\/?>/gi, ' ').replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').trim();
+}
+function parseTsvFlashcards(text) {
+  let body = text.replace(/^\uFEFF/, '');
+  let delimiter = '\t';
+  const sep = /^#separator:(\S+)/m.exec(body)?.[1]?.toLowerCase();
+  if (sep) delimiter = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ' }[sep] || sep;
+  body = body.split(/\r?\n/).map(l => (/^#\w+:/.test(l) ? '' : l)).join('\n'); // Anki #html:/#separator: directives
+
+  const records = parseCsvRecords(body, delimiter);
+  const header = (records[0]?.cells || []).map(h => h.trim().toLowerCase());
+  if (header.some(h => ['question','prompt','stem'].includes(h)) && header.some(h => ['answer','answers','key','correct'].includes(h))) {
+    return parseCsvSmart(body, { delimiter });
+  }
+
+  const cards = records.map(({ line, cells }) => ({ line, front: stripAnkiHtml(cells[0]), back: stripAnkiHtml(cells[1]) }));
+  const backs = [...new Set(cards.map(c => c.back).filter(Boolean))];
+  const items = []; const rejected = [];
+  for (const card of cards) {
+    if (!card.front || !card.back) {
+      rejected.push({ row: card.line, issues: [card.front ? 'missing back' : 'missing front'], preview: card.front || card.back });
+      continue;
+    }
+    const distractors = shuffled(backs.filter(b => b !== card.back)).slice(0, 3);
+    const options = shuffled([card.back, ...distractors]);
+    checkRow({ q: card.front, type: 'single', options, answerIdx: [options.indexOf(card.back)], rationale: '' }, card.line, items, rejected);
+  }
+  return { items, rejected, meta: { rows: records.length, headers: ['front', 'back'] } };
+}
+
+// Moodle Aiken: stem, "A. option" lines, then "ANSWER: B"; blank line between questions
+function parseAiken(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const items = []; const rejected = [];
+  let cur = null; let rows = 0;
+  const flush = () => {
+    if (!cur) return;
+    rows++;
+    const row = { q: cur.stem.join(' ').trim(), type: 'single', options: cur.options, answerIdx: [], rationale: '' };
+    row.answerIdx = lettersToIdxArray(cur.answer || '');
+    if (row.answerIdx.length > 1) row.type = 'sata';
+    checkRow(row, cur.line, items, rejected);
+    cur = null;
+  };
+  lines.forEach((raw, i) => {
+    const l = raw.trim();
+    if (!l) { if (cur?.answer !== undefined) flush(); return; }
+    if (!cur) cur = { line: i + 1, stem: [], options: [] };
+    const opt = /^([A-Z])[.)]\s+(.*)$/.exec(l);
+    const ans = /^ANSWER:\s*(.+)$/i.exec(l);
+    if (ans) { cur.answer = ans[1]; flush(); }
+    else if (opt && cur.stem.length) cur.options.push(opt[2].trim());
+    else if (cur.options.length) cur.options[cur.options.length - 1] += ` ${l}`;
+    else cur.stem.push(l);
+  });
+  if (cur) { cur.answer = cur.answer ?? ''; flush(); }
+  return { items, rejected, meta: { rows, headers: [] } };
+}
+
+// Moodle GIFT: multiple choice ({=right ~wrong}), weighted multi-answer ({~%50%a ~%50%b ~%-100%c}),
+// true/false ({T}/{FALSE}); #feedback becomes the rationale. Other GIFT types are rejected.
+function parseGift(text) {
+  const unescape = s => s.replace(/\\([~=#{}:])/g, '$1').trim();
+  const cleaned = text.replace(/^\uFEFF/, '').split(/\r?\n/)
+    .map(l => (/^\s*\/\//.test(l) ? '' : l)).join('\n');
+  const items = []; const rejected = [];
+  let rows = 0;
+  // Line numbers come from offsets in the text, so runs of blank or comment lines between questions count too
+  const newlines = str => (str.match(/\n/g) || []).length;
+  const blocks = []; let line = 1; let pos = 0;
+  for (const sep of [...cleaned.matchAll(/\n\s*\n/g), { index: cleaned.length, 0: '' }]) {
+    const block = cleaned.slice(pos, sep.index);
+    const lead = newlines(block.match(/^\s*/)[0]);
+    if (block.trim() && !/^\s*\$CATEGORY:/i.test(block)) blocks.push({ line: line + lead, text: block.trim() });
+    line += newlines(block) + newlines(sep[0]);
+    pos = sep.index + sep[0].length;
+  }
+
+  for (const { line: rowNum, text: block } of blocks) {
+    rows++;
+    const body = block.replace(/^::(?:\\:|[^:])*::\s*/, '').replace(/^\[(html|moodle|markdown|plain)\]/i, '');
+    const open = body.search(/(?<!\\)\{/);
+    const close = open < 0 ? -1 : open + 1 + body.slice(open + 1).search(/(?<!\\)\}/);
+    if (open < 0 || close <= open) { rejected.push({ row: rowNum, issues: ['no {answer} block'], preview: body }); continue; }
+
+    const before = body.slice(0, open).trim(), after = body.slice(close + 1).trim();
+    const q = unescape(after ? `${before} _____ ${after}` : before).replace(/<[^>]+>/g, '');
+    const inner = body.slice(open + 1, close).trim();
+
+    const tf = /^(T|TRUE|F|FALSE)\s*(#.*)?$/i.exec(inner);
+    if (tf) {
+      const isTrue = /^T/i.test(tf[1]);
+      checkRow({ q, type: 'tf', options: ['True', 'False'], answerIdx: [isTrue ? 0 : 1], rationale: unescape((tf[2] || '').replace(/^#+/, '')) }, rowNum, items, rejected);
+      continue;
+    }
+
+    // Numeric: {#12.5:0.1} or {#12.4..12.6}
+    const num = /^#\s*(-?\d*\.?\d+)\s*(?::\s*(\d*\.?\d+)|\.\.\s*(-?\d*\.?\d+))?\s*(?:#([\s\S]*))?$/.exec(inner);
+    if (num && !inner.startsWith('##')) {
+      const [lo, hi] = [Number(num[1]), num[3] !== undefined ? Number(num[3]) : null];
+      const key = hi === null
+        ? withMeta({ value: lo }, { tolerance: num[2] !== undefined ? Number(num[2]) : undefined })
+        : { value: (lo + hi) / 2, tolerance: Math.abs(hi - lo) / 2 };
+      checkRow({ q, type: 'numeric', options: [], answerIdx: [], ...key, rationale: unescape(num[4] || '') }, rowNum, items, rejected);
+      continue;
+    }
+
+    const general = /(?<!\\)####([\s\S]*)$/.exec(inner);
+    const answersText = general ? inner.slice(0, general.index) : inner;
+    const tokens = answersText.split(/(?<!\\)(?=[=~])/).map(t => t.trim()).filter(Boolean);
+    const options = []; const answerIdx = []; let feedback = '';
+    if (tokens.some(t => /->/.test(t))) { rejected.push({ row: rowNum, issues: ['matching questions not supported'], preview: q }); continue; }
+    for (const tok of tokens) {
+      const m = /^([=~])(?:%(-?\d+(?:\.\d+)?)%)?([\s\S]*)$/.exec(tok);
+      if (!m) continue;
+      const [answer, fb] = m[3].split(/(?<!\\)#/);
+      const weight = m[2] !== undefined ? parseFloat(m[2]) : null;
+      const right = m[1] === '=' || (weight !== null && weight > 0);
+      if (right) { answerIdx.push(options.length); if (fb && !feedback) feedback = fb; }
+      options.push(unescape(answer));
+    }
+    const rationale = unescape(general ? general[1] : feedback || '');
+    // Only "=" answers and no "~" distractors: GIFT short answer, i.e. a fill-in with synonyms
+    if (options.length && !tokens.some(t => t.startsWith('~'))) {
+      checkRow({ q, type: 'fill', options: [], answerIdx: [], accept: options, rationale }, rowNum, items, rejected, q);
+      continue;
+    }
+    const row = { q, type: answerIdx.length > 1 ? 'sata' : 'single', options, answerIdx, rationale };
+    checkRow(row, rowNum, items, rejected, q);
+  }
+  return { items, rejected, meta: { rows, headers: [] } };
+}
+
+export function formatImportReport(fileName, format, rejected) {
+  const lines = [`Import report for ${fileName} (${format})`, `${rejected.length} row(s) rejected`, ''];
+  for (const r of rejected) {
+    const preview = String(r.preview || '').replace(/\s+/g, ' ').slice(0, 120);
+    lines.push(`Row ${r.row}: ${r.issues.join('; ')}${preview ? `  —  ${preview}` : ''}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+export function toCsvCell(v) {
+  const s = String(v ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+// Same columns parseCsvSmart reads. Options go in a,b,c… columns as "A. text": those cells are never split on `|`,
+// and the importer strips only the "A. " added here, so "E. coli" survives the round trip.
+export function bankToCsv(items) {
+  const width = Math.max(0, ...items.map(q => q.options.length));
+  const optCols = Array.from({ length: width }, (_, i) => letter(i).toLowerCase());
+  const rows = [['question', 'type', ...optCols, 'answer', 'explanation', 'tags', 'category', 'difficulty', 'image', 'rationale_image', 'fixed_order', 'accept', 'tolerance']];
+  for (const q of items) {
+    const typed = isTyped(q) ? typedKeyToText(q) : { accept: '', tolerance: '' };
+    const options = optCols.map((_, i) => (i < q.options.length ? `${letter(i)}. ${q.options[i]}` : ''));
+    rows.push([q.q, q.type || 'single', ...options, q.answerIdx.map(letter).join(';'), q.rationale || '',
+      (q.tags || []).join('|'), q.category || '', q.difficulty || '', q.image || '', q.rationaleImage || '', q.fixedOrder ? 'yes' : '',
+      typed.accept, typed.tolerance]);
+  }
+  return '\uFEFF' + rows.map(r => r.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,310 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  StringSelectMenuBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} from 'discord.js';
+import { DEFAULT_TIMER_SEC, DEFAULT_GUILD_CONFIG } from './guildConfig.js';
+import { chunk, normalize } from './util.js';
+import { MEDIA_EXT, isUrl } from './media.js';
+
+/* ==================== QUESTIONS ==================== */
+export const lettersToIdxArray = ans => ans.toUpperCase().replace(/,/g,';').split(';')
+  .map(s=>s.trim()).filter(Boolean).map(ch=>{
+    if (/^[A-Z]$/.test(ch)) return ch.charCodeAt(0)-65;
+    if (/^\d+$/.test(ch)) return parseInt(ch,10)-1;
+    return NaN;
+  }).filter(n=>Number.isInteger(n)&&n>=0);
+
+export function validateQuestion(q) {
+  const issues = [];
+  const options = Array.isArray(q.options) ? q.options : [];
+  const answers = Array.isArray(q.answerIdx) ? q.answerIdx : [];
+  if (!q.q) issues.push('missing prompt');
+  if (isTyped(q)) {
+    issues.push(...validateTypedQuestion(q));
+  } else {
+    if (options.length < 2) issues.push('needs ≥2 options');
+    if (options.length > 25) issues.push('≤25 options supported');
+    if (answers.length === 0) issues.push('missing answer(s)');
+    if (answers.some(i => !Number.isInteger(i) || i < 0 || i >= options.length)) issues.push('answer index out of range');
+  }
+  if (q.tags !== undefined && (!Array.isArray(q.tags) || q.tags.some(t => typeof t !== 'string' || !t.trim()))) issues.push('tags must be a list of words');
+  if (q.category !== undefined && typeof q.category !== 'string') issues.push('category must be text');
+  if (q.difficulty !== undefined && !DIFFICULTIES.includes(q.difficulty)) issues.push(`difficulty must be ${DIFFICULTIES.join('/')}`);
+  for (const field of ['image', 'rationaleImage']) {
+    if (q[field] === undefined) continue;
+    if (typeof q[field] !== 'string' || !(isUrl(q[field]) || MEDIA_EXT.test(q[field]))) issues.push(`${field} must be an http(s) URL or a .png/.jpg/.gif/.webp file name`);
+  }
+  if (q.fixedOrder !== undefined && typeof q.fixedOrder !== 'boolean') issues.push('fixedOrder must be true or false');
+  return issues;
+}
+
+/* =========== TAGS, CATEGORY, DIFFICULTY ============ */
+// Optional question fields: tags: string[], category: string, difficulty: 'easy'|'medium'|'hard'
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+export function parseDifficulty(raw) {
+  const v = normalize(raw).toLowerCase();
+  if (!v) return undefined;
+  return { '1': 'easy', e: 'easy', '2': 'medium', m: 'medium', med: 'medium', '3': 'hard', h: 'hard' }[v] || v;
+}
+export const parseTags = raw => [...new Set(normalize(raw).split(/[|;,]/).map(t => t.trim().toLowerCase()).filter(Boolean))];
+
+// Adds optional fields (tags, category, difficulty, image, rationaleImage) only when they have a value
+export function withMeta(row, meta = {}) {
+  const out = { ...row };
+  for (const [key, value] of Object.entries(meta)) {
+    if (value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length)) continue;
+    out[key] = value;
+  }
+  return out;
+}
+
+// `tag` matches a tag or the category by prefix ("pharm" -> "pharmacology"), case-insensitive
+export function filterQuestions(items, { tag = null, difficulty = null } = {}) {
+  const t = tag?.toLowerCase();
+  return items.filter(q => {
+    if (difficulty && q.difficulty !== difficulty) return false;
+    if (!t) return true;
+    return [...(q.tags || []), q.category || ''].some(x => x.toLowerCase().startsWith(t));
+  });
+}
+export function describeFilters({ tag, difficulty }) {
+  return [tag && `tag **${tag}**`, difficulty && `difficulty **${difficulty}**`].filter(Boolean).join(', ');
+}
+
+export const letter = i => String.fromCharCode(65 + i);
+// Option indexes -> "A, C"; typed answers are shown quoted
+export const formatPicks = picks => (typeof picks === 'string' ? `“${picks}”` : picks.map(letter).join(', ') || '—');
+export const isSata = qObj => qObj.type === 'sata';
+
+/* ===================== SCORING ===================== */
+// 'all'       – every correct option picked and nothing else, or 0
+// 'plusminus' – NCLEX +/-: +1 per correct pick, −1 per wrong pick, floored at 0, scaled to 1
+// 'peroption' – each option judged right (picked & correct, or skipped & wrong) earns 1/n
+export const SCORING_MODES = ['all', 'plusminus', 'peroption'];
+
+// `picks` is the typed text for fill/numeric questions
+export function scoreSelection(qObj, picks, mode = 'all') {
+  if (isTyped(qObj)) return scoreTyped(qObj, picks);
+  const correct = new Set(qObj.answerIdx);
+  const picked  = new Set(picks);
+  const hits    = [...picked].filter(i => correct.has(i));
+  const wrong   = [...picked].filter(i => !correct.has(i));
+  const missed  = [...correct].filter(i => !picked.has(i));
+  const exact   = wrong.length === 0 && missed.length === 0;
+
+  let points = exact ? 1 : 0;
+  if (isSata(qObj) && mode === 'plusminus') {
+    points = Math.max(0, hits.length - wrong.length) / correct.size;
+  } else if (isSata(qObj) && mode === 'peroption') {
+    const judgedRight = qObj.options.filter((_, i) => correct.has(i) === picked.has(i)).length;
+    points = judgedRight / qObj.options.length;
+  }
+  return { points: Math.round(points * 100) / 100, exact, hits, wrong, missed };
+}
+
+export function formatReveal(qObj, result, showRationale = true) {
+  const lettersCorrect = isTyped(qObj) ? formatTypedKey(qObj) : qObj.answerIdx.map(letter).join(', ');
+  const verdict = result.exact ? '✅ Correct!' : result.points > 0 ? `🟡 Partially correct (+${result.points})` : '❌ Incorrect!';
+  const lines = [`${verdict}  **Answer:** ${lettersCorrect}`];
+  if (isTyped(qObj)) lines.push(`✍️ ${result.typed ? `“${result.typed}”` : '—'}${result.note ? ` *(${result.note})*` : ''}`);
+  if (isSata(qObj)) {
+    const marks = [
+      ...result.hits.map(i   => `✅ ${letter(i)}. ${qObj.options[i]}`),
+      ...result.wrong.map(i  => `❌ ${letter(i)}. ${qObj.options[i]} *(not correct)*`),
+      ...result.missed.map(i => `⚠️ ${letter(i)}. ${qObj.options[i]} *(missed)*`)
+    ];
+    if (marks.length) lines.push(marks.join('\n'));
+  }
+  if (showRationale) lines.push(`> ${qObj.rationale || '—'}`);
+  return lines.join('\n');
+}
+
+export function formatQuestionEmbed(qObj, idx, total, seconds = DEFAULT_TIMER_SEC, footer = null, color = DEFAULT_GUILD_CONFIG.color) {
+  const embed = new EmbedBuilder()
+    .setTitle([`🧠 Question ${idx + 1}/${total}`, qObj.category, qObj.difficulty].filter(Boolean).join(' · '))
+    .setDescription(isSata(qObj) ? `${qObj.q}\n*Select all that apply.*` : qObj.q)
+    .setColor(color)
+    .setFooter({ text: footer || `Timer: ${seconds}s • First ${isSata(qObj) || isTyped(qObj) ? 'submission' : 'correct click'} scores` });
+  if (isTyped(qObj)) {
+    const hint = qObj.type === 'numeric' ? `Type a number${qObj.unit ? ` in **${qObj.unit}**` : ''}.` : 'Type your answer.';
+    return embed.addFields({ name: '✍️ Answer', value: `${hint} Press **Answer** to respond.` });
+  }
+  const opts = qObj.options.map((o,i)=>`${letter(i)}. ${o}`).join('\n') || '—';
+  embed.addFields({ name: 'Options', value: opts });
+  return embed;
+}
+export function buildButtons(qObj) {
+  if (isTyped(qObj)) return buildAnswerButton();
+  if (isSata(qObj)) {
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId('sata_select')
+      .setPlaceholder('Select all that apply, then close the menu to submit')
+      .setMinValues(1)
+      .setMaxValues(qObj.options.length)
+      .addOptions(qObj.options.map((o, i) => ({ label: `${letter(i)}. ${o}`.slice(0, 100), value: String(i) })));
+    return [new ActionRowBuilder().addComponents(menu)];
+  }
+  const buttons = qObj.options.map((_, i) =>
+    new ButtonBuilder().setCustomId(`opt_${i}`).setLabel(letter(i)).setStyle(ButtonStyle.Primary)
+  );
+  return chunk(buttons, 5).map(group => new ActionRowBuilder().addComponents(...group));
+}
+// Button `opt_<i>` or the SATA select menu -> array of option indexes; the answer modal -> typed text
+export function picksFromComponent(compInt) {
+  if (compInt.isModalSubmit?.()) return normalize(compInt.fields.getTextInputValue('answer')).slice(0, TYPED_MAX_LEN);
+  if (compInt.isStringSelectMenu?.()) return compInt.values.map(v => parseInt(v, 10));
+  return [parseInt(compInt.customId.split('_')[1], 10)];
+}
+
+/* ================== TYPED ANSWERS ================== */
+// 'fill'    – free text checked against `accept` (synonyms) after normalising; `fuzzy` (0–1) lets near-misses count
+// 'numeric' – `value` with optional `unit`; ± `tolerance` or `tolerancePct`, else half a step of the key's last decimal
+//             (12.5 mL/hr accepts 12.45–12.55)
+export const TYPED_TYPES = ['fill', 'numeric'];
+export const isTyped = qObj => TYPED_TYPES.includes(qObj?.type);
+const TYPED_MAX_LEN = 200;
+
+// "The Beta-Blocker." -> "beta blocker"
+export function normalizeAnswerText(s) {
+  return normalize(s).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[-_/]/g, ' ').replace(/[^\p{L}\p{N}.\s]/gu, '').replace(/\.(?!\d)/g, '')
+    .replace(/^(a|an|the)\s+/, '').replace(/\s+/g, ' ').trim();
+}
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    prev = cur;
+  }
+  return prev[b.length];
+}
+const similarity = (a, b) => (a || b ? 1 - levenshtein(a, b) / Math.max(a.length, b.length) : 1);
+
+const UNIT_ALIASES = {
+  hr: 'h', hrs: 'h', hour: 'h', hours: 'h', mins: 'min', minute: 'min', minutes: 'min',
+  mls: 'ml', cc: 'ml', gtts: 'gtt', drop: 'gtt', drops: 'gtt', ug: 'mcg', 'µg': 'mcg', 'μg': 'mcg',
+  mgs: 'mg', kgs: 'kg', units: 'unit', u: 'unit', tabs: 'tab', tablet: 'tab', tablets: 'tab'
+};
+// "mL/hr" and "ml / h" -> "ml/h"
+function normalizeUnit(u) {
+  return normalize(u).toLowerCase().replace(/\s+/g, '').replace(/\bper\b/g, '/')
+    .split('/').map(p => UNIT_ALIASES[p] || p).join('/');
+}
+// "12.5 mL/hr" -> { value: 12.5, unit: 'mL/hr' }; "1,250" is a thousands separator, "0,5" a decimal comma
+function parseNumericAnswer(text) {
+  const m = /^\s*([-+]?(?:\d[\d,]*(?:\.\d+)?|\.\d+))\s*(.*?)\s*$/.exec(normalize(text));
+  if (!m) return null;
+  const num = /^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(m[1]) ? m[1].replace(/,/g, '') : m[1].replace(',', '.');
+  const value = Number(num);
+  return Number.isFinite(value) ? { value, unit: m[2] } : null;
+}
+const decimalsOf = n => (String(n).split('.')[1] || '').length;
+function numericTolerance(qObj) {
+  if (qObj.tolerance !== undefined) return qObj.tolerance;
+  if (qObj.tolerancePct !== undefined) return Math.abs(qObj.value) * qObj.tolerancePct / 100;
+  return 0.5 * 10 ** -decimalsOf(qObj.value);
+}
+
+// CSV `accept`/`tolerance` cells (or a modal answer like "12.5 mL/hr ±0.1" / "beta blocker|bb ~85%") -> key fields
+export function typedKeyFromText(type, acceptText, toleranceText = '') {
+  let accept = normalize(acceptText);
+  let tol = normalize(toleranceText);
+  const inline = /\s*(?:±|\+\/-|~)\s*([\d.]+%?)\s*$/.exec(accept);
+  if (inline && !tol) { tol = inline[1]; accept = accept.slice(0, inline.index); }
+  const pct = /%$/.test(tol);
+  const tolNum = tol ? Number(tol.replace(/%$/, '')) : undefined;
+
+  if (type === 'fill') {
+    return withMeta({ accept: accept.split('|').map(s => s.trim()).filter(Boolean) }, {
+      fuzzy: tolNum === undefined ? undefined : pct || tolNum > 1 ? tolNum / 100 : tolNum
+    });
+  }
+  const parsed = parseNumericAnswer(accept);
+  return withMeta({ value: parsed ? parsed.value : NaN }, {
+    unit: parsed?.unit || undefined,
+    tolerance: tolNum !== undefined && !pct ? tolNum : undefined,
+    tolerancePct: tolNum !== undefined && pct ? tolNum : undefined
+  });
+}
+// Inverse of typedKeyFromText, for exports and edit forms -> { accept, tolerance }
+export function typedKeyToText(qObj) {
+  if (qObj.type === 'fill') return { accept: (qObj.accept || []).join('|'), tolerance: qObj.fuzzy !== undefined ? String(qObj.fuzzy) : '' };
+  return {
+    accept: [qObj.value, qObj.unit].filter(x => x !== undefined && x !== '').join(' '),
+    tolerance: qObj.tolerance !== undefined ? String(qObj.tolerance) : qObj.tolerancePct !== undefined ? `${qObj.tolerancePct}%` : ''
+  };
+}
+// One-line form for the /bank edit modal: "12.5 mL/hr ±0.1", "beta blocker|bb ~0.85"
+export function typedAnswerText(qObj) {
+  const { accept, tolerance } = typedKeyToText(qObj);
+  return tolerance ? `${accept} ${qObj.type === 'fill' ? '~' : '±'}${tolerance}` : accept;
+}
+export function formatTypedKey(qObj) {
+  if (qObj.type === 'fill') {
+    const [first, ...others] = qObj.accept;
+    return others.length ? `${first} *(also: ${others.join(', ')})*` : first;
+  }
+  const tol = numericTolerance(qObj);
+  return `${qObj.value}${qObj.unit ? ` ${qObj.unit}` : ''}${qObj.tolerance !== undefined || qObj.tolerancePct !== undefined ? ` (±${Math.round(tol * 1e6) / 1e6})` : ''}`;
+}
+
+function validateTypedQuestion(q) {
+  const issues = [];
+  if (q.type === 'fill') {
+    if (!Array.isArray(q.accept) || !q.accept.length || q.accept.some(a => typeof a !== 'string' || !normalizeAnswerText(a))) issues.push('fill questions need accepted answers');
+    if (q.fuzzy !== undefined && !(typeof q.fuzzy === 'number' && q.fuzzy > 0 && q.fuzzy <= 1)) issues.push('fuzzy threshold must be between 0 and 1');
+  } else {
+    if (typeof q.value !== 'number' || !Number.isFinite(q.value)) issues.push('numeric questions need a number answer');
+    if (q.unit !== undefined && (typeof q.unit !== 'string' || !q.unit.trim())) issues.push('unit must be text');
+    for (const field of ['tolerance', 'tolerancePct']) {
+      if (q[field] !== undefined && !(typeof q[field] === 'number' && q[field] >= 0)) issues.push(`${field} must be a number ≥ 0`);
+    }
+  }
+  return issues;
+}
+
+// Same result shape as scoreSelection, plus `typed` and an optional `note`
+function scoreTyped(qObj, text) {
+  const typed = normalize(text).slice(0, TYPED_MAX_LEN);
+  const base = { hits: [], wrong: [], missed: [], typed };
+  const verdict = (exact, note = null) => ({ ...base, points: exact ? 1 : 0, exact, note });
+  if (!typed) return verdict(false, 'no answer');
+
+  if (qObj.type === 'fill') {
+    const given = normalizeAnswerText(typed);
+    const keys = qObj.accept.map(normalizeAnswerText);
+    if (keys.includes(given)) return verdict(true);
+    const best = Math.max(...keys.map(k => similarity(k, given)));
+    if (qObj.fuzzy !== undefined && best >= qObj.fuzzy) return verdict(true, 'close enough — check the spelling');
+    return verdict(false);
+  }
+
+  const parsed = parseNumericAnswer(typed);
+  if (!parsed) return verdict(false, 'not a number');
+  if (parsed.unit && qObj.unit && normalizeUnit(parsed.unit) !== normalizeUnit(qObj.unit)) return verdict(false, `wrong unit (expected ${qObj.unit})`);
+  return verdict(Math.abs(parsed.value - qObj.value) <= numericTolerance(qObj) + 1e-9);
+}
+
+// Single "Answer" button that opens the typing modal
+export function buildAnswerButton(customId = 'typed_answer') {
+  return [new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(customId).setLabel('Answer').setEmoji('✍️').setStyle(ButtonStyle.Primary)
+  )];
+}
+// Shows the modal for `compInt`'s user and waits up to `timeMs`; resolves the submit interaction or null
+export async function askTypedAnswer(compInt, qObj, timeMs, current = '') {
+  const customId = `typed_modal_${compInt.id}`;
+  const input = new TextInputBuilder().setCustomId('answer').setStyle(TextInputStyle.Short).setRequired(true).setMaxLength(TYPED_MAX_LEN)
+    .setLabel(qObj.type === 'numeric' && qObj.unit ? `Your answer (${qObj.unit})`.slice(0, 45) : 'Your answer');
+  if (current) input.setValue(current);
+  await compInt.showModal(new ModalBuilder().setCustomId(customId).setTitle('✍️ Your answer').addComponents(new ActionRowBuilder().addComponents(input)));
+  return compInt.awaitModalSubmit({ time: Math.max(1000, timeMs), filter: m => m.customId === customId }).catch(() => null);
+}
@@ -0,0 +1,115 @@
+import { banks } from './state.js';
+import { getGuildConfig } from './guildConfig.js';
+import { DAY_MS, questionKey, recordAnswer, loadHistory } from './history.js';
+import {
+  scoreSelection, formatReveal, formatQuestionEmbed, buildButtons,
+  picksFromComponent, askTypedAnswer
+} from './questions.js';
+import { attachImage, rationaleImagePayload } from './media.js';
+
+/* ============ PERSONAL REVIEW (LEITNER) ============ */
+// Each question a user has answered sits in a Leitner box, replayed from history:
+// a miss drops it to box 1 (due again right away), a correct answer moves it up one box.
+const REVIEW_INTERVALS_DAYS = [0, 0, 1, 3, 7, 21, 60]; // index = box (1..6)
+const REVIEW_MAX_BOX = REVIEW_INTERVALS_DAYS.length - 1;
+
+// qKey -> { bankName, question } for every bank in the guild
+export function indexGuildQuestions(guildId) {
+  const idx = new Map();
+  for (const [bankName, items] of banks.get(guildId) || []) {
+    for (const question of items) idx.set(questionKey(question), { bankName, question });
+  }
+  return idx;
+}
+// qKey -> { box, last, due } from a user's answers in time order
+function buildReviewDeck(rows) {
+  const deck = new Map();
+  for (const r of [...rows].sort((a, b) => a.ts - b.ts)) {
+    const card = deck.get(r.qKey) || { box: 1, last: 0, due: 0 };
+    card.box  = r.correct ? Math.min(card.box + 1, REVIEW_MAX_BOX) : 1;
+    card.last = r.ts;
+    card.due  = r.ts + REVIEW_INTERVALS_DAYS[card.box] * DAY_MS;
+    deck.set(r.qKey, card);
+  }
+  return deck;
+}
+function endOfTodayUtc() {
+  return (Math.floor(Date.now() / DAY_MS) + 1) * DAY_MS;
+}
+export async function dueReviewCards(guildId, userId, bankName = null) {
+  const rows  = (await loadHistory(guildId)).filter(r => r.userId === userId);
+  const deck  = buildReviewDeck(rows);
+  const known = indexGuildQuestions(guildId);
+  const cutoff = endOfTodayUtc();
+  const cards = [];
+  for (const [qKey, card] of deck) {
+    const hit = known.get(qKey);
+    if (!hit || (bankName && hit.bankName !== bankName)) continue; // question deleted/edited or other bank
+    cards.push({ qKey, ...card, ...hit });
+  }
+  const due = cards.filter(c => c.due < cutoff).sort((a, b) => a.box - b.box || a.due - b.due);
+  const nextDue = cards.filter(c => c.due >= cutoff).reduce((min, c) => Math.min(min, c.due), Infinity);
+  return { due, total: cards.length, mastered: cards.filter(c => c.box === REVIEW_MAX_BOX).length, nextDue };
+}
+
+// `dueCount` is every card due today; `cards` may be capped by /review count:
+export async function runReview(interaction, cards, dueCount = cards.length) {
+  const state = { index: 0, correct: 0, askedAt: 0 };
+  const { color } = getGuildConfig(interaction.guildId);
+  const footer = () => `Personal review • Box ${cards[state.index].box} • ${cards[state.index].bankName}`;
+  // `before` carries the previous card's rationale image so it shows above the next question
+  const render = (before = { embeds: [], files: [] }) => {
+    const { question } = cards[state.index];
+    const embed = formatQuestionEmbed(question, state.index, cards.length, 0, footer(), color);
+    const files = [...before.files, ...attachImage(embed, interaction.guildId, question.image)];
+    return { embeds: [...before.embeds, embed], files, attachments: [], components: buildButtons(question) };
+  };
+
+  const dueNote = `${dueCount} card${dueCount>1?'s':''} due`;
+  const header = dueCount > cards.length ? `${dueNote}, reviewing ${cards.length}` : dueNote;
+  await interaction.reply({ content: `🔁 **Review:** ${header}.`, ...render(), ephemeral: true });
+  const msg = await interaction.fetchReply();
+  state.askedAt = Date.now();
+
+  const collector = msg.createMessageComponentCollector({ idle: 5 * 60 * 1000 });
+  collector.on('collect', async (compInt) => {
+    let answerInt = compInt; // the answer modal's submit for typed questions
+    try {
+      const card   = cards[state.index];
+      if (compInt.customId === 'typed_answer') {
+        const shown = state.index;
+        answerInt = await askTypedAnswer(compInt, card.question, 5 * 60 * 1000);
+        if (!answerInt || state.index !== shown) return;
+      }
+      const picks  = picksFromComponent(answerInt);
+      const result = scoreSelection(card.question, picks, 'all');
+      if (result.exact) state.correct++;
+      recordAnswer({
+        ts: Date.now(), guildId: interaction.guildId, channelId: interaction.channelId, userId: compInt.user.id,
+        bank: card.bankName, qKey: card.qKey, q: card.question.q.slice(0, 200),
+        choice: picks, correct: result.exact, points: 0, ms: Date.now() - state.askedAt, mode: 'review'
+      });
+
+      const reveal = formatReveal(card.question, result);
+      const media  = rationaleImagePayload(interaction.guildId, card.question, color);
+      state.index += 1;
+      if (state.index >= cards.length) {
+        collector.stop('done');
+        return answerInt.update({
+          content: `${reveal}\n\n🏁 **Review complete:** ${state.correct}/${cards.length} correct. Missed cards come back tomorrow or sooner.`,
+          ...media, attachments: [], components: []
+        });
+      }
+      state.askedAt = Date.now();
+      await answerInt.update({ content: reveal, ...render(media) });
+    } catch (e) {
+      if (e?.code === 10062 || e?.rawError?.code === 10062 || e?.status === 404) return;
+      console.error('Error handling review answer:', e);
+      collector.stop('error');
+    }
+  });
+  collector.on('end', async (_, reason) => {
+    if (reason === 'done' || reason === 'error') return;
+    try { await interaction.editReply({ content: `⏸️ Review paused after ${state.index}/${cards.length}. Run \`/review\` to pick up the rest.`, embeds: [], components: [] }); } catch {}
+  });
+}
@@ -0,0 +1,145 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { sessions, banks, ensureGuildBank } from './state.js';
+import { DATA_DIR, ensureDataDir, writeFileAtomic, findBankName } from './storage.js';
+import { actuallyStart, channelInteraction } from './session.js';
+
+/* ==================== SCHEDULER ==================== */
+// data/schedules.json: [{ id, guildId, channelId, cron, tz, bank, count, mode, timer, paused, createdBy, lastRunKey, lastRunAt }]
+// Scheduled quizzes use the server's SATA scoring (`/config set scoring`).
+const SCHEDULES_FILE = path.join(DATA_DIR, 'schedules.json');
+const SCHEDULER_TICK_MS = 30000;
+export const DEFAULT_TZ = process.env.TZ || 'UTC';
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+export let schedules = [];
+
+export async function saveSchedulesToDisk() {
+  try {
+    await ensureDataDir();
+    await writeFileAtomic(SCHEDULES_FILE, JSON.stringify(schedules, null, 2));
+  } catch (e) {
+    console.error('Schedule save failed:', e);
+  }
+}
+export async function loadSchedulesFromDisk() {
+  try {
+    const contents = await fs.readFile(SCHEDULES_FILE, 'utf8').catch(() => null);
+    if (!contents) return;
+    const list = JSON.parse(contents);
+    schedules = Array.isArray(list) ? list.filter(s => s && s.id && parseCron(s.cron)) : [];
+    if (schedules.length) console.log(`📅 Loaded ${schedules.length} schedule(s) from /data`);
+  } catch (e) {
+    console.error('Schedule load failed:', e);
+  }
+}
+
+// Minimal 5-field cron: "m h dom mon dow" with *, lists, ranges and /steps. Returns null if invalid.
+export function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/);
+  if (parts.length !== 5) return null;
+  const bounds = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+  const fields = [];
+  for (let f = 0; f < 5; f++) {
+    const [min, max] = bounds[f];
+    const set = new Set();
+    for (const piece of parts[f].toLowerCase().split(',')) {
+      const m = /^(\*|(\w+)(?:-(\w+))?)(?:\/(\d+))?$/.exec(piece);
+      if (!m) return null;
+      const val = v => (f === 4 && WEEKDAYS.includes(v) ? WEEKDAYS.indexOf(v) : /^\d+$/.test(v) ? parseInt(v, 10) : NaN);
+      let lo = min, hi = max;
+      if (m[1] !== '*') { lo = val(m[2]); hi = m[3] !== undefined ? val(m[3]) : (m[4] ? max : lo); }
+      const step = m[4] ? parseInt(m[4], 10) : 1;
+      if (!Number.isInteger(lo) || !Number.isInteger(hi) || lo < min || hi > max || lo > hi || step < 1) return null;
+      for (let v = lo; v <= hi; v += step) set.add(f === 4 && v === 7 ? 0 : v);
+    }
+    fields.push({ set, any: parts[f] === '*' });
+  }
+  return fields;
+}
+// One formatter per timezone — building them is the slow part of nextRun
+const zoneFormatters = new Map();
+function zonedParts(date, tz) {
+  let fmt = zoneFormatters.get(tz);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, hourCycle: 'h23', weekday: 'short', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+    });
+    zoneFormatters.set(tz, fmt);
+  }
+  const parts = Object.fromEntries(fmt.formatToParts(date).map(p => [p.type, p.value]));
+  return {
+    minute: +parts.minute, hour: +parts.hour, day: +parts.day, month: +parts.month, year: +parts.year,
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase().slice(0, 3))
+  };
+}
+function dayMatches(fields, p) {
+  const [, , dom, mon, dow] = fields;
+  if (!mon.set.has(p.month)) return false;
+  // Standard cron: when both day fields are restricted, either may match
+  if (!dom.any && !dow.any) return dom.set.has(p.day) || dow.set.has(p.weekday);
+  return dom.set.has(p.day) && dow.set.has(p.weekday);
+}
+function cronMatches(fields, p) {
+  const [min, hour] = fields;
+  return min.set.has(p.minute) && hour.set.has(p.hour) && dayMatches(fields, p);
+}
+export function isValidTimeZone(tz) {
+  try { new Intl.DateTimeFormat('en-US', { timeZone: tz }); return true; } catch { return false; }
+}
+// Next matching minute within a year (covers monthly and yearly crons), or null.
+// Skips whole hours while the day or hour doesn't match, so this is a few thousand steps at most.
+const NEXT_RUN_WINDOW_MS = 366 * 24 * 3600 * 1000;
+function nextRun(schedule, from = Date.now()) {
+  const fields = parseCron(schedule.cron);
+  if (!fields) return null;
+  const end = from + NEXT_RUN_WINDOW_MS;
+  let t = Math.floor(from / 60000) * 60000 + 60000;
+  while (t <= end) {
+    const p = zonedParts(new Date(t), schedule.tz);
+    if (!dayMatches(fields, p) || !fields[1].set.has(p.hour)) t += (60 - p.minute) * 60000;
+    else if (!fields[0].set.has(p.minute)) t += 60000;
+    else return t;
+  }
+  return null;
+}
+export function describeSchedule(s) {
+  const next = s.paused ? null : nextRun(s);
+  const when = s.paused ? '⏸️ paused' : next ? `next <t:${Math.floor(next / 1000)}:R>` : 'no run in the next year';
+  return `\`${s.id}\` <#${s.channelId}> • **${s.bank}** × ${s.count || 'all'} • \`${s.cron}\` ${s.tz} • ${when}`;
+}
+async function runSchedule(client, schedule) {
+  const channel = await client.channels.fetch(schedule.channelId).catch(() => null);
+  if (!channel?.isTextBased?.()) return console.error(`📅 Schedule ${schedule.id}: channel ${schedule.channelId} unavailable`);
+  if (sessions.has(channel.id)) {
+    return channel.send({ content: `📅 Skipped scheduled quiz \`${schedule.id}\` — a quiz is already running here.` }).catch(() => {});
+  }
+  ensureGuildBank(schedule.guildId);
+  const bankName = findBankName(schedule.guildId, schedule.bank);
+  if (!bankName) {
+    console.error(`📅 Schedule ${schedule.id}: bank "${schedule.bank}" not found in guild ${schedule.guildId}`);
+    return channel.send({ content: `⚠️ Scheduled quiz \`${schedule.id}\` didn't run — bank **${schedule.bank}** wasn't found. Check \`/quiz list\`, then \`/schedule delete\` and create it again.` })
+      .catch(e => console.error(`📅 Schedule ${schedule.id}: couldn't post in ${schedule.channelId}:`, e.message));
+  }
+  const fake = channelInteraction(channel, schedule.guildId);
+  await channel.send({ content: `📅 **Scheduled quiz** from bank **${bankName}** is starting!` });
+  await actuallyStart(fake, banks.get(schedule.guildId).get(bankName), schedule.count || null, {
+    bankName, mode: schedule.mode, timer: schedule.timer
+  });
+}
+
+export function startScheduler(client) {
+  return setInterval(async () => {
+    const now = new Date();
+    let changed = false;
+    for (const s of schedules) {
+      if (s.paused) continue;
+      const fields = parseCron(s.cron);
+      const p = zonedParts(now, s.tz);
+      const key = `${p.year}-${p.month}-${p.day} ${p.hour}:${p.minute}`;
+      if (!fields || s.lastRunKey === key || !cronMatches(fields, p)) continue;
+      s.lastRunKey = key; s.lastRunAt = now.getTime(); changed = true;
+      runSchedule(client, s).catch(e => console.error(`📅 Schedule ${s.id} failed:`, e));
+    }
+    if (changed) await saveSchedulesToDisk();
+  }, SCHEDULER_TICK_MS);
+}
@@ -0,0 +1,103 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { DATA_DIR, ensureDataDir, writeFileAtomic } from './storage.js';
+import { questionKey, loadHistory } from './history.js';
+import { isTyped } from './questions.js';
+
+/* ==================== SELECTION ==================== */
+// Question order, option order, and which questions a channel gets next.
+const RECENT_FILE = path.join(DATA_DIR, 'recent.json');
+const RECENT_QUIZZES_KEEP = 10;
+// channelId -> [[qKey, ...], ...] newest quiz last
+let recentQuizzes = {};
+
+// Unbiased in-place Fisher–Yates
+export function shuffleInPlace(arr) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+export const shuffled = arr => shuffleInPlace([...arr]);
+
+// "All/None of the above" keeps its slot; options that name other letters ("Both A and B") freeze the whole question
+const PINNED_OPTION = /^(all|none|neither|both) of (the )?(above|these|the (above|options|answers|choices))\b/i;
+const LETTER_REFERENCE = /\b(both|neither|only|options?|answers?|choices?)\s+[A-H]\b|\b[A-H]\s*(,|&|and|or)\s*[A-H]\b/;
+function keepsOptionOrder(qObj) {
+  return isTyped(qObj) || qObj.fixedOrder === true || qObj.type === 'tf' || qObj.options.some(o => LETTER_REFERENCE.test(o));
+}
+// Returns a copy with options shuffled and answerIdx remapped; `optionOrder[shownIdx]` is the original index
+export function shuffleOptions(qObj) {
+  if (keepsOptionOrder(qObj)) return qObj;
+  const free = qObj.options.map((_, i) => i).filter(i => !PINNED_OPTION.test(qObj.options[i]));
+  const perm = shuffled(free);
+  const order = qObj.options.map((_, i) => i);
+  free.forEach((slot, k) => { order[slot] = perm[k]; });
+  return {
+    ...qObj,
+    options: order.map(i => qObj.options[i]),
+    answerIdx: qObj.answerIdx.map(a => order.indexOf(a)).sort((a, b) => a - b),
+    optionOrder: order
+  };
+}
+// Picks on a shuffled question -> indexes in the bank's option order (for history)
+export const originalPicks = (qObj, picks) => (qObj.optionOrder ? picks.map(i => qObj.optionOrder[i]) : picks);
+
+export async function loadRecentQuizzesFromDisk() {
+  try {
+    const contents = await fs.readFile(RECENT_FILE, 'utf8').catch(() => null);
+    if (contents) recentQuizzes = JSON.parse(contents) || {};
+  } catch (e) {
+    console.error('⚠️ Ignoring unreadable recent.json:', e.message);
+  }
+}
+export async function rememberQuiz(channelId, questions) {
+  const list = [...(recentQuizzes[channelId] || []), questions.map(questionKey)];
+  recentQuizzes[channelId] = list.slice(-RECENT_QUIZZES_KEEP);
+  try {
+    await ensureDataDir();
+    await writeFileAtomic(RECENT_FILE, JSON.stringify(recentQuizzes));
+  } catch (e) {
+    console.error('Recent quiz save failed:', e);
+  }
+}
+function recentQuestionKeys(channelId, lastN) {
+  return new Set((recentQuizzes[channelId] || []).slice(-lastN).flat());
+}
+
+// qKey -> share of group-quiz answers that were wrong (only questions answered at least twice)
+async function missRates(guildId) {
+  const tally = new Map();
+  for (const r of await loadHistory(guildId)) {
+    if (r.mode) continue;
+    const t = tally.get(r.qKey) || { n: 0, missed: 0 };
+    t.n++; if (!r.correct) t.missed++;
+    tally.set(r.qKey, t);
+  }
+  const rates = new Map();
+  for (const [qKey, t] of tally) if (t.n >= 2) rates.set(qKey, t.missed / t.n);
+  return rates;
+}
+// Weighted random order without replacement (Efraimidis–Spirakis keys)
+function weightedOrder(items, weightOf) {
+  return items.map(q => ({ q, key: Math.random() ** (1 / weightOf(q)) }))
+    .sort((a, b) => b.key - a.key).map(x => x.q);
+}
+
+// Picks `count` questions (null = all): unseen-recently first, optionally biased toward often-missed ones
+export async function selectQuestions(guildId, channelId, pool, count, { shuffle = true, avoidRecent = 0, focusMissed = false } = {}) {
+  let ordered = [...pool];
+  if (focusMissed) {
+    const rates = await missRates(guildId);
+    ordered = weightedOrder(ordered, q => 1 + 3 * (rates.get(questionKey(q)) || 0));
+  } else if (shuffle) {
+    shuffleInPlace(ordered);
+  }
+  if (avoidRecent > 0) {
+    const seen = recentQuestionKeys(channelId, avoidRecent);
+    const fresh = ordered.filter(q => !seen.has(questionKey(q)));
+    ordered = [...fresh, ...ordered.filter(q => seen.has(questionKey(q)))]; // fall back to repeats only when short
+  }
+  return ordered.slice(0, count || ordered.length);
+}
@@ -0,0 +1,499 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, GatewayIntentBits } from 'discord.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { sessions } from './state.js';
+import { DATA_DIR, writeFileAtomic } from './storage.js';
+import { getGuildConfig, canManage, memberHasRole } from './guildConfig.js';
+import { questionKey, recordAnswer } from './history.js';
+import { normalize } from './util.js';
+import {
+  validateQuestion, letter, formatPicks, isSata, SCORING_MODES, scoreSelection,
+  formatReveal, formatQuestionEmbed, buildButtons, picksFromComponent, isTyped,
+  normalizeAnswerText, formatTypedKey, askTypedAnswer
+} from './questions.js';
+import { shuffleOptions, originalPicks, rememberQuiz, selectQuestions } from './selection.js';
+import { attachImage, rationaleImagePayload } from './media.js';
+import { buildReportRow } from './analytics.js';
+
+/* ==================== QUIZ FLOW ==================== */
+// 'first'    – first click answers for the channel (1 pt, or partial SATA credit)
+// 'everyone' – every participant answers privately; points scale with correctness and speed
+// 'teams'    – like 'first', with players split into teams (see TEAM MODE)
+const QUIZ_MODES = ['first', 'everyone', 'teams'];
+const LOBBY_WAIT_MS = 60000;
+
+function speedPoints(credit, ms, limitMs) {
+  const speed = Math.max(0, 1 - ms / limitMs);
+  return Math.round(credit * (500 + 500 * speed));
+}
+function addPoints(session, userId, pts) {
+  const prev = session.scoreboard.get(userId) || 0;
+  session.scoreboard.set(userId, Math.round((prev + pts) * 100) / 100);
+}
+
+async function advanceQuiz(interaction, session) {
+  session.index += 1;
+  if (session.index < session.bank.length) return presentQuestion(interaction, session);
+  session.active = false; await showScoreboard(interaction, session); sessions.delete(interaction.channelId);
+  await persistSessions();
+}
+
+// `timeMs` is shorter than the full timer only when a resumed quiz re-asks its interrupted question
+async function presentQuestion(interaction, session, timeMs = session.timer * 1000) {
+  const q = session.bank[session.index];
+  const issues = validateQuestion(q);
+  if (issues.length) {
+    await interaction.followUp({ content: `⚠️ Skipping invalid question (${issues.join(', ')}).`, ephemeral: true });
+    return advanceQuiz(interaction, session);
+  }
+
+  const everyone = session.mode === 'everyone';
+  const footer = everyone ? `Timer: ${session.timer}s • Everyone answers — faster correct answers score more` : null;
+  const embed = formatQuestionEmbed(q, session.index, session.bank.length, Math.ceil(timeMs / 1000), footer, session.color);
+  const files = attachImage(embed, interaction.guildId, q.image);
+  const components = buildButtons(q);
+  let msg;
+  try {
+    msg = await interaction.followUp({ embeds: [embed], components, files });
+  } catch (e) {
+    console.error(`Couldn't post question ${session.index + 1} in ${interaction.channelId}:`, e);
+    const noted = await interaction.followUp({ content: `⚠️ Couldn't post question ${session.index + 1} — skipping it.` }).then(() => true, () => false);
+    if (noted) return advanceQuiz(interaction, session);
+    // The channel itself is unreachable: end the quiz rather than leave it stuck in `sessions`
+    session.active = false; sessions.delete(interaction.channelId);
+    return persistSessions();
+  }
+  session.active = true; session.answered = false; session.askedAt = Date.now() - (session.timer * 1000 - timeMs);
+  session.responses = new Map(); session.messageId = msg.id;
+  persistSessions();
+
+  const collector = msg.createMessageComponentCollector({ time: timeMs });
+  session.collector = collector;
+
+  if (everyone) return collectEveryone(interaction, session, msg, collector);
+
+  collector.on('collect', async (compInt) => {
+    let btnInt = compInt; // the answer modal's submit for typed questions
+    try {
+      if (session.answered) return btnInt.reply({ content: 'This question already advanced. ⏭️', ephemeral: true });
+      const team = session.teams ? teamOf(session, btnInt.user.id) : null;
+      if (session.teams && !team) return btnInt.reply({ content: '🙅 Only players on a team can answer this quiz.', ephemeral: true });
+
+      const current = session.bank[session.index];
+      if (compInt.customId === 'typed_answer') {
+        const asked = session.index;
+        btnInt = await askTypedAnswer(compInt, current, session.askedAt + session.timer * 1000 - Date.now());
+        if (!btnInt) return;
+        if (session.answered || session.index !== asked || sessions.get(interaction.channelId) !== session) {
+          return btnInt.reply({ content: '⏰ Too late — this question already closed.', ephemeral: true });
+        }
+      }
+      session.answered = true;
+
+      const picks   = picksFromComponent(btnInt);
+      const result  = scoreSelection(current, picks, session.scoring);
+      if (result.points > 0) { addPoints(session, btnInt.user.id, result.points); persistSessions(); }
+      recordAnswer({
+        ts: Date.now(), guildId: interaction.guildId, channelId: interaction.channelId, userId: btnInt.user.id,
+        bank: current.sourceBank || session.bankName, qKey: questionKey(current), q: current.q.slice(0, 200),
+        choice: originalPicks(current, picks), correct: result.exact, points: result.points, ms: Date.now() - session.askedAt
+      });
+
+      const media = session.showRationale ? rationaleImagePayload(interaction.guildId, current, session.color) : { embeds: [], files: [] };
+      const teamNote = team && result.points > 0 ? `\n${team.emoji} +${result.points} for **${team.name}** (<@${btnInt.user.id}>)` : '';
+      await btnInt.update({
+        content: formatReveal(current, result, session.showRationale) + teamNote,
+        allowedMentions: { parse: [] },
+        ...media,
+        attachments: [],
+        components: [buildReportRow(current)]
+      });
+      collector.stop('answered');
+    } catch (e) {
+      if (e?.code === 10062 || e?.rawError?.code === 10062 || e?.status === 404) return; // ignore expired/unknown
+      console.error('Error handling button press:', e);
+      try { await btnInt.reply({ content: '❌ Something went wrong (logged).', ephemeral: true }); } catch {}
+      collector.stop('error');
+    }
+  });
+
+  collector.on('end', async (_, reason) => {
+    if (reason === 'manual-stop') return; // stopped by /quiz stop
+    if (reason !== 'answered') await interaction.followUp({ content: '⏰ Time up! Moving on…' }).catch(e => console.error('Time-up note failed:', e.message));
+    return advanceQuiz(interaction, session);
+  });
+}
+
+function collectEveryone(interaction, session, msg, collector) {
+  collector.on('collect', async (compInt) => {
+    try {
+      const { responses } = session;
+      const locked = () => compInt.reply({ content: '🔒 You already locked in an answer for this question.', ephemeral: true });
+      if (responses.has(compInt.user.id)) return locked();
+      let answerInt = compInt;
+      if (compInt.customId === 'typed_answer') {
+        answerInt = await askTypedAnswer(compInt, session.bank[session.index], session.askedAt + session.timer * 1000 - Date.now());
+        if (!answerInt) return;
+        if (session.responses !== responses) return answerInt.reply({ content: '⏰ Too late — this question already closed.', ephemeral: true });
+        if (responses.has(compInt.user.id)) return answerInt.reply({ content: '🔒 You already locked in an answer for this question.', ephemeral: true });
+      }
+      const picks = picksFromComponent(answerInt);
+      responses.set(compInt.user.id, { picks, ms: Date.now() - session.askedAt });
+      await answerInt.reply({ content: `🔒 Locked in: **${formatPicks(picks)}**. Results when the timer ends.`, ephemeral: true });
+      if (session.players?.size && [...session.players].every(id => session.responses.has(id))) collector.stop('all-answered');
+    } catch (e) {
+      if (e?.code === 10062 || e?.rawError?.code === 10062 || e?.status === 404) return;
+      console.error('Error handling answer:', e);
+    }
+  });
+
+  collector.on('end', async (_, reason) => {
+    if (reason === 'manual-stop') return;
+    try { await msg.edit({ components: [] }); } catch {}
+    await revealEveryone(interaction, session).catch(e => console.error('Reveal failed:', e));
+    return advanceQuiz(interaction, session);
+  });
+}
+
+// Groups typed answers that normalise the same ("Beta blocker" / "beta-blocker")
+function tallyTyped(tally, text, correct) {
+  const key = normalizeAnswerText(text);
+  const t = tally.get(key) || { text: normalize(text).slice(0, 60), n: 0, correct };
+  t.n++;
+  tally.set(key, t);
+}
+
+async function revealEveryone(interaction, session) {
+  const q = session.bank[session.index];
+  const limitMs = session.timer * 1000;
+  const counts = q.options.map(() => 0);
+  const typedTally = new Map();
+  let fastest = null;
+
+  for (const [userId, { picks, ms }] of session.responses) {
+    if (Array.isArray(picks)) picks.forEach(i => { if (counts[i] !== undefined) counts[i]++; });
+    const result = scoreSelection(q, picks, session.scoring);
+    if (isTyped(q)) tallyTyped(typedTally, picks, result.exact);
+    const pts = speedPoints(result.points, ms, limitMs);
+    if (pts > 0) addPoints(session, userId, pts);
+    if (result.exact && (!fastest || ms < fastest.ms)) fastest = { userId, ms };
+    recordAnswer({
+      ts: Date.now(), guildId: interaction.guildId, channelId: interaction.channelId, userId,
+      bank: q.sourceBank || session.bankName, qKey: questionKey(q), q: q.q.slice(0, 200),
+      choice: originalPicks(q, picks), correct: result.exact, points: result.points, ms
+    });
+  }
+
+  persistSessions();
+
+  const n = session.responses.size;
+  const correct = new Set(q.answerIdx);
+  const bar = count => {
+    const pct = n ? Math.round((count / n) * 100) : 0;
+    return `${'█'.repeat(Math.round(pct / 10)) || '▏'} ${count} (${pct}%)`;
+  };
+  const dist = isTyped(q)
+    ? [...typedTally.values()].sort((a, b) => b.n - a.n).slice(0, 5).map(t => `${t.correct ? '✅' : '▫️'} “${t.text}” ${bar(t.n)}`)
+    : q.options.map((o, i) => `${correct.has(i) ? '✅' : '▫️'} **${letter(i)}** ${bar(counts[i])}`);
+  const lines = [
+    `⏰ **Time's up!**  **Answer:** ${isTyped(q) ? formatTypedKey(q) : q.answerIdx.map(letter).join(', ')}`,
+    ...(session.showRationale ? [`> ${q.rationale || '—'}`] : []),
+    '',
+    `**Class answers** (${n} response${n === 1 ? '' : 's'})`,
+    ...dist
+  ];
+  if (fastest) lines.push('', `⚡ Fastest correct: <@${fastest.userId}> (${(fastest.ms / 1000).toFixed(1)}s)`);
+  const media = session.showRationale ? rationaleImagePayload(interaction.guildId, q, session.color) : {};
+  await interaction.followUp({ content: lines.join('\n'), ...media, components: [buildReportRow(q)], allowedMentions: { parse: [] } });
+}
+
+export async function showScoreboard(interaction, session) {
+  if (!session || session.scoreboard.size === 0) return interaction.followUp({ content: '📊 No scores yet.' });
+  const nameOf = async userId => {
+    const user = await interaction.client.users.fetch(userId).catch(()=>null);
+    return user ? user.username : `User ${userId}`;
+  };
+  const sorted = [...session.scoreboard.entries()].sort((a,b)=>b[1]-a[1]);
+  const lines = await Promise.all(sorted.map(async ([userId, pts], idx) => `${idx+1}. **${await nameOf(userId)}** — ${pts} pts`));
+  if (!session.teams) return interaction.followUp({ content: `📊 **Scoreboard**\n${lines.join('\n')}` });
+
+  const teamLines = await Promise.all(teamStandings(session).map(async (t, idx) => {
+    const top = t.top ? ` • top: **${await nameOf(t.top.userId)}** (${t.top.pts})` : '';
+    return `${idx+1}. ${t.emoji} **${t.name}** — ${t.total} pts${top}`;
+  }));
+  return interaction.followUp({ content: `🏆 **Team standings**\n${teamLines.join('\n')}\n\n📊 **Players**\n${lines.join('\n')}` });
+}
+
+export async function actuallyStart(interaction, bankArr, desiredCount, opts = {}) {
+  if (!bankArr || bankArr.length === 0) return interaction.followUp({ content: '⚠️ Selected bank has no questions.', ephemeral: true });
+  if (sessions.has(interaction.channelId)) return interaction.followUp({ content: '⚠️ A quiz is already running in this channel.', ephemeral: true });
+
+  const cfg      = getGuildConfig(interaction.guildId);
+  const wanted   = desiredCount ?? cfg.count;
+  const count    = wanted ? Math.max(1, Math.min(wanted, bankArr.length)) : bankArr.length;
+  const picked   = await selectQuestions(interaction.guildId, interaction.channelId, bankArr, count, {
+    shuffle: cfg.shuffle, avoidRecent: cfg.avoidRecent, focusMissed: opts.focusMissed ?? cfg.focusMissed
+  });
+  const selected = cfg.shuffleOptions ? picked.map(shuffleOptions) : picked;
+
+  const scoring  = SCORING_MODES.includes(opts.scoring) ? opts.scoring : cfg.scoring;
+  const mode     = QUIZ_MODES.includes(opts.mode) ? opts.mode : 'first';
+  const timer    = opts.timer || cfg.timer;
+  const session = {
+    guildId: interaction.guildId, index: 0, bank: selected, bankName: opts.bankName || null, scoring, mode, timer,
+    showRationale: cfg.showRationale, color: cfg.color, active: false, answered: false, scoreboard: new Map(), players: new Set(), collector: null
+  };
+  sessions.set(interaction.channelId, session);
+  rememberQuiz(interaction.channelId, selected);
+
+  const minPlayers = opts.minPlayers || 1;
+  if (mode === 'teams') {
+    session.teams = buildTeams(interaction.guild, cfg, opts.teams);
+    if (!(await waitForTeams(interaction, session))) return;
+  } else if (minPlayers > 1 && !(await waitForPlayers(interaction, session, minPlayers))) return;
+
+  const scoringNote = selected.some(isSata) ? ` SATA scoring: **${scoring}**.` : '';
+  const rules = mode === 'everyone'
+    ? 'Everyone answers privately — faster correct answers earn more points.'
+    : mode === 'teams'
+      ? 'First click from any team member answers — points go to the player and their team.'
+      : 'First correct click gets the point.';
+  let msg = `🎬 **Quiz starting!** ${count} question${count>1?'s':''}. ${rules} ⏱️ ${timer}s per question.${scoringNote}`;
+  // Team quizzes ping each team's members so nobody misses the first question
+  const teamPings = session.teams ? session.teams.filter(t => t.members.length) : [];
+  if (teamPings.length) msg += `\n${teamPings.map(t => teamRoster(t, true)).join('\n')}`;
+  const payload = { content: msg, allowedMentions: { users: teamPings.flatMap(t => t.members) } };
+  if (!interaction.replied && !interaction.deferred) await interaction.reply(payload);
+  else await interaction.followUp(payload);
+
+  await presentQuestion(interaction, session);
+}
+
+// Lobby with a Join button; resolves true once `minPlayers` have joined, false on timeout/stop
+async function waitForPlayers(interaction, session, minPlayers) {
+  session.lobby = true;
+  const joinRow = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId('quiz_join').setLabel('Join').setEmoji('🙋').setStyle(ButtonStyle.Success)
+  );
+  const lobbyText = () => `🙋 **Quiz lobby** — ${session.players.size}/${minPlayers} players joined. Starts as soon as ${minPlayers} join (waiting up to ${LOBBY_WAIT_MS / 1000}s).`;
+  const payload = { content: lobbyText(), components: [joinRow] };
+  let msg;
+  if (!interaction.replied && !interaction.deferred) { await interaction.reply(payload); msg = await interaction.fetchReply(); }
+  else msg = await interaction.followUp(payload);
+
+  const collector = msg.createMessageComponentCollector({ time: LOBBY_WAIT_MS });
+  session.collector = collector;
+  collector.on('collect', async (btnInt) => {
+    try {
+      session.players.add(btnInt.user.id);
+      if (session.players.size >= minPlayers) {
+        await btnInt.update({ content: `✅ ${session.players.size} players in — here we go!`, components: [] });
+        return collector.stop('ready');
+      }
+      await btnInt.update({ content: lobbyText(), components: [joinRow] });
+    } catch (e) {
+      if (e?.code === 10062 || e?.rawError?.code === 10062 || e?.status === 404) return;
+      console.error('Error handling lobby join:', e);
+    }
+  });
+
+  const reason = await new Promise(resolve => collector.once('end', (_, r) => resolve(r)));
+  session.lobby = false;
+  if (reason === 'ready') return true;
+  if (reason !== 'manual-stop') {
+    sessions.delete(interaction.channelId);
+    try { await msg.edit({ content: `⏰ Not enough players (${session.players.size}/${minPlayers}). Quiz cancelled.`, components: [] }); } catch {}
+  }
+  return false;
+}
+
+/* ==================== TEAM MODE ==================== */
+// 'teams' – players pick a team in a lobby (or are placed by a mapped role); the first click from
+// any team member answers, and points count for the player and their team.
+export const TEAM_PRESETS = [
+  { name: 'Red', emoji: '🔴' }, { name: 'Blue', emoji: '🔵' }, { name: 'Green', emoji: '🟢' }, { name: 'Yellow', emoji: '🟡' }
+];
+const TEAM_LOBBY_MS = 60 * 1000;
+export const DEFAULT_TEAM_COUNT = 2;
+
+// Mapped roles (/config teamrole) become the teams; otherwise `count` colour teams
+function buildTeams(guild, cfg, count = DEFAULT_TEAM_COUNT) {
+  if (cfg.teamRoles.length >= 2) {
+    return cfg.teamRoles.slice(0, TEAM_PRESETS.length).map((roleId, i) => ({
+      name: guild?.roles?.cache?.get(roleId)?.name || `Team ${i + 1}`, emoji: TEAM_PRESETS[i].emoji, roleId, members: []
+    }));
+  }
+  return TEAM_PRESETS.slice(0, count).map(t => ({ ...t, members: [] }));
+}
+const teamOf = (session, userId) => session.teams?.find(t => t.members.includes(userId)) || null;
+
+// Members holding a mapped role always land on that role's team
+function joinTeam(session, member, userId, teamIdx) {
+  const byRole = session.teams.findIndex(t => t.roleId && memberHasRole(member, t.roleId));
+  const target = session.teams[byRole >= 0 ? byRole : teamIdx];
+  for (const t of session.teams) t.members = t.members.filter(id => id !== userId);
+  target.members.push(userId);
+  session.players.add(userId);
+  return target;
+}
+
+// Puts everyone holding a mapped team role on that team before the lobby opens; the join buttons are for
+// everyone else. Role members come from the member cache, which is complete only when the bot runs with the
+// Server Members intent (GUILD_MEMBERS_INTENT=1); without it, role holders not yet cached are placed when they click.
+async function placeRoleHolders(guild, session) {
+  if (!guild || !session.teams.some(t => t.roleId)) return;
+  if (guild.client?.options?.intents?.has?.(GatewayIntentBits.GuildMembers)) {
+    await guild.members.fetch().catch(e => console.error('Team roles: member fetch failed:', e.message));
+  }
+  for (const team of session.teams) {
+    const role = team.roleId ? guild.roles?.cache?.get(team.roleId) : null;
+    for (const [userId, member] of role?.members ?? []) {
+      if (member.user?.bot || teamOf(session, userId)) continue;
+      team.members.push(userId);
+      session.players.add(userId);
+    }
+  }
+}
+
+// Teams sorted by total points (sum of members' scoreboard entries), each with its top scorer
+function teamStandings(session) {
+  return session.teams.map(t => {
+    const scores = t.members.map(id => [id, session.scoreboard.get(id) || 0]).sort((a, b) => b[1] - a[1]);
+    const total = Math.round(scores.reduce((sum, [, pts]) => sum + pts, 0) * 100) / 100;
+    return { ...t, total, top: scores[0]?.[1] > 0 ? { userId: scores[0][0], pts: scores[0][1] } : null };
+  }).sort((a, b) => b.total - a.total);
+}
+const teamRoster = (t, ping = false) => `${t.emoji} **${t.name}** (${t.members.length}): ${t.members.length ? t.members.map(id => `<@${id}>`).join(ping ? ' ' : ', ') : '—'}`;
+
+// Lobby with one button per team plus Start; resolves true once started with at least one player
+async function waitForTeams(interaction, session) {
+  session.lobby = true;
+  await placeRoleHolders(interaction.guild, session);
+  const starterId = interaction.user?.id;
+  const byRole = session.teams.some(t => t.roleId);
+  const rows = () => [new ActionRowBuilder().addComponents(
+    ...session.teams.map((t, i) => new ButtonBuilder().setCustomId(`team_join_${i}`).setLabel(`Join ${t.name}`.slice(0, 80)).setEmoji(t.emoji).setStyle(ButtonStyle.Secondary)),
+    new ButtonBuilder().setCustomId('team_start').setLabel('Start').setEmoji('▶️').setStyle(ButtonStyle.Success)
+  )];
+  const lobbyText = () => [
+    `👥 **Team quiz lobby** — ${byRole ? 'team role holders are already in; everyone else, pick a team' : 'pick a team'}. Starts when <@${starterId}> presses Start (or in ${TEAM_LOBBY_MS / 1000}s).`,
+    ...session.teams.map(t => teamRoster(t))
+  ].join('\n');
+  const payload = { content: lobbyText(), components: rows(), allowedMentions: { parse: [] } };
+  let msg;
+  if (!interaction.replied && !interaction.deferred) { await interaction.reply(payload); msg = await interaction.fetchReply(); }
+  else msg = await interaction.followUp(payload);
+
+  const collector = msg.createMessageComponentCollector({ time: TEAM_LOBBY_MS });
+  session.collector = collector;
+  collector.on('collect', async (btnInt) => {
+    try {
+      if (btnInt.customId === 'team_start') {
+        if (btnInt.user.id !== starterId && !canManage(btnInt)) {
+          return btnInt.reply({ content: '⛔ Only the person who started the quiz (or a quiz manager) can start it.', ephemeral: true });
+        }
+        if (!session.players.size) return btnInt.reply({ content: '🙋 Nobody has joined a team yet.', ephemeral: true });
+        await btnInt.update({ content: lobbyText(), components: [], allowedMentions: { parse: [] } });
+        return collector.stop('ready');
+      }
+      joinTeam(session, btnInt.member, btnInt.user.id, parseInt(btnInt.customId.slice('team_join_'.length), 10));
+      await btnInt.update({ content: lobbyText(), components: rows(), allowedMentions: { parse: [] } });
+    } catch (e) {
+      if (e?.code === 10062 || e?.rawError?.code === 10062 || e?.status === 404) return;
+      console.error('Error handling team join:', e);
+    }
+  });
+
+  const reason = await new Promise(resolve => collector.once('end', (_, r) => resolve(r)));
+  session.lobby = false;
+  if (reason === 'ready' || (reason !== 'manual-stop' && session.players.size)) {
+    if (reason !== 'ready') try { await msg.edit({ components: [] }); } catch {}
+    return true;
+  }
+  if (reason !== 'manual-stop') {
+    sessions.delete(interaction.channelId);
+    try { await msg.edit({ content: '⏰ Nobody joined a team. Quiz cancelled.', components: [] }); } catch {}
+  }
+  return false;
+}
+
+/* ================= SESSION RECOVERY ================ */
+// Running quizzes are mirrored to data/sessions.json so a restart can resume them.
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+const SESSION_RESUME_MAX_MS = 15 * 60 * 1000; // older than this -> close with final scores instead
+let sessionsWrite = Promise.resolve();
+
+function serializeSession(channelId, s) {
+  return {
+    channelId, guildId: s.guildId, bankName: s.bankName, scoring: s.scoring, mode: s.mode, timer: s.timer,
+    index: s.index, bank: s.bank, scoreboard: [...s.scoreboard], players: [...(s.players || [])], teams: s.teams || null,
+    messageId: s.messageId || null, answered: !!s.answered, deadline: (s.askedAt || Date.now()) + s.timer * 1000, updatedAt: Date.now()
+  };
+}
+// Writes are chained so two quick saves can't race each other's rename
+export function persistSessions() {
+  const snapshot = [...sessions.entries()].filter(([, s]) => s.active).map(([id, s]) => serializeSession(id, s));
+  sessionsWrite = sessionsWrite
+    .then(() => writeFileAtomic(SESSIONS_FILE, JSON.stringify(snapshot, null, 2)))
+    .catch(e => console.error('Session save failed:', e));
+  return sessionsWrite;
+}
+
+export async function resumeSessionsFromDisk(client) {
+  let saved = [];
+  try {
+    const contents = await fs.readFile(SESSIONS_FILE, 'utf8').catch(() => null);
+    if (contents) saved = JSON.parse(contents);
+  } catch (e) {
+    console.error('⚠️ Ignoring unreadable sessions.json:', e.message);
+  }
+  if (!Array.isArray(saved) || !saved.length) return;
+
+  let resumed = 0;
+  for (const s of saved) {
+    try {
+      const channel = await client.channels.fetch(s.channelId).catch(() => null);
+      if (!channel?.isTextBased?.() || sessions.has(s.channelId)) continue;
+      if (s.messageId) {
+        const old = await channel.messages.fetch(s.messageId).catch(() => null);
+        await old?.edit({ components: [] }).catch(() => {});
+      }
+      const fake = channelInteraction(channel, s.guildId);
+      const session = {
+        guildId: s.guildId, index: s.index, bank: s.bank, bankName: s.bankName, scoring: s.scoring, mode: s.mode, timer: s.timer,
+        showRationale: getGuildConfig(s.guildId).showRationale, color: getGuildConfig(s.guildId).color, active: false, answered: false, scoreboard: new Map(s.scoreboard), players: new Set(s.players), teams: s.teams || null, collector: null
+      };
+
+      // Pick up where the question stood: already answered -> the next one; timer ran out while offline -> close it
+      const expired = !s.answered && Number.isFinite(s.deadline) && s.deadline <= Date.now();
+      if (s.answered || expired) session.index += 1;
+      if (Date.now() - s.updatedAt > SESSION_RESUME_MAX_MS || session.index >= s.bank.length) {
+        await channel.send({ content: '🔌 The bot restarted and this quiz was interrupted for too long — closing it with the scores so far.' });
+        await showScoreboard(fake, session);
+        continue;
+      }
+      sessions.set(s.channelId, session);
+      resumed++;
+      if (expired) await channel.send({ content: `⏰ Time ran out on question **${s.index + 1}** while the bot was offline.` });
+      await channel.send({ content: `♻️ The bot restarted — resuming this quiz at question **${session.index + 1}/${s.bank.length}**.` });
+      const timeMs = s.answered || expired || !Number.isFinite(s.deadline) ? s.timer * 1000 : s.deadline - Date.now();
+      presentQuestion(fake, session, timeMs).catch(e => console.error('Resume failed:', e));
+    } catch (e) {
+      console.error(`Could not recover quiz in channel ${s.channelId}:`, e);
+    }
+  }
+  if (resumed) console.log(`♻️ Resumed ${resumed} interrupted quiz(zes)`);
+  await persistSessions();
+}
+
+// Lets the quiz flow (which talks to an interaction) run in a channel with nobody invoking it
+export function channelInteraction(channel, guildId) {
+  let last = null;
+  const send = async ({ ephemeral, ...payload }) => (last = await channel.send(payload));
+  return {
+    channelId: channel.id, guildId, client: channel.client, user: channel.client.user,
+    replied: true, deferred: false,
+    reply: send, followUp: send, fetchReply: async () => last,
+    editReply: async payload => last?.edit(payload)
+  };
+}
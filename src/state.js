@@ -0,0 +1,21 @@
+/* ================ IN-MEMORY STATE ================== */
+// channelId -> { guildId, index, bank, bankName, scoring, mode, timer, active, lobby?, answered, askedAt,
+//                messageId, scoreboard: Map<userId,pts>, players: Set<userId>, responses: Map<userId,{picks,ms}>, collector?:Collector }
+export const sessions = new Map();
+// guildId -> Map<bankName, Question[]>
+export const banks    = new Map();
+// guildId -> last used bank name
+export const lastBank = new Map();
+
+const SAMPLE_BANK = [
+  { q: 'Which PPE items are required for contact precautions?', type: 'sata',  options: ['Gloves','Gown','N95 respirator','Eye protection'], answerIdx: [0,1], rationale: 'Contact = gloves + gown. N95 is airborne; eye protection is procedure-dependent.' },
+  { q: 'Priority action for suspected sepsis on med-surg?',    type: 'single', options: ['Start enteral feeds','Obtain blood cultures','Start DVT prophylaxis','Give PRN lorazepam'], answerIdx: [1], rationale: 'Cultures before antibiotics.' },
+  { q: 'Diabetes sick-day rule: Continue basal insulin.',       type: 'tf',     options: ['True','False'], answerIdx: [0], rationale: 'Prevents DKA.' }
+];
+
+export function ensureGuildBank(guildId) {
+  if (!banks.has(guildId)) {
+    banks.set(guildId, new Map([['sample', SAMPLE_BANK]]));
+    lastBank.set(guildId, 'sample');
+  }
+}
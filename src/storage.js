@@ -0,0 +1,106 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { banks, lastBank, ensureGuildBank } from './state.js';
+import { normalize } from './util.js';
+
+/* ================== PERSISTENCE ==================== */
+export const DATA_DIR = path.resolve(process.env.DATA_DIR || 'data');
+const BACKUP_DIR = path.join(DATA_DIR, 'backups');
+const BANK_BACKUPS_KEEP = 5;
+
+export async function ensureDataDir() {
+  try { await fs.mkdir(DATA_DIR, { recursive: true }); } catch {}
+}
+export function safeName(name) {
+  return String(name).replace(/[^a-z0-9_\-\.]/gi, '_').slice(0, 80);
+}
+function bankPath(guildId, bankName) {
+  return path.join(DATA_DIR, `${safeName(guildId)}__${safeName(bankName)}.json`);
+}
+// Write to a temp file in the same directory, then rename over the target,
+// so a crash mid-write never leaves a half-written file behind.
+// The counter keeps two saves of the same file in the same millisecond off each other's temp file.
+let tmpCounter = 0;
+export async function writeFileAtomic(file, contents) {
+  const tmp = `${file}.${process.pid}.${Date.now()}.${tmpCounter++}.tmp`;
+  try {
+    await fs.writeFile(tmp, contents, 'utf8');
+    await fs.rename(tmp, file);
+  } catch (e) {
+    await fs.unlink(tmp).catch(() => {});
+    throw e;
+  }
+}
+// Copies the current file to data/backups/<name>.<timestamp>.json and prunes old copies
+async function backupFile(file) {
+  try {
+    await fs.mkdir(BACKUP_DIR, { recursive: true });
+    const base = path.basename(file, '.json');
+    await fs.copyFile(file, path.join(BACKUP_DIR, `${base}.${Date.now()}.json`));
+    const olds = (await fs.readdir(BACKUP_DIR))
+      .filter(f => f.startsWith(`${base}.`) && /^\d+\.json$/.test(f.slice(base.length + 1)))
+      .sort().reverse().slice(BANK_BACKUPS_KEEP);
+    await Promise.all(olds.map(f => fs.unlink(path.join(BACKUP_DIR, f)).catch(() => {})));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error('Backup failed:', e);
+  }
+}
+export async function saveBankToDisk(guildId, bankName, items) {
+  try {
+    await ensureDataDir();
+    const file = bankPath(guildId, bankName);
+    await backupFile(file);
+    await writeFileAtomic(file, JSON.stringify({ name: bankName, items }, null, 2));
+    console.log(`💾 Saved bank "${bankName}" (${items.length} q) for guild ${guildId}`);
+  } catch (e) {
+    console.error('Save failed:', e);
+  }
+}
+export async function deleteBankFile(guildId, bankName) {
+  try {
+    await backupFile(bankPath(guildId, bankName));
+    await fs.unlink(bankPath(guildId, bankName));
+    console.log(`🗑️ Deleted bank file "${bankName}" for guild ${guildId}`);
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error('Delete failed:', e);
+  }
+}
+export async function loadAllBanksFromDisk() {
+  const files = await fs.readdir(DATA_DIR).catch(() => []);
+  let loaded = 0;
+  for (const f of files) {
+    const m = /^(\d+)__.+\.json$/i.exec(f);
+    if (!m) continue;
+    try {
+      const guildId = m[1];
+      const contents = await fs.readFile(path.join(DATA_DIR, f), 'utf8').catch(() => null);
+      if (!contents) continue;
+      // { name, items }; older files are a bare array named after the (safeName'd) file
+      const data = JSON.parse(contents);
+      const items = Array.isArray(data) ? data : data?.items;
+      const name = typeof data?.name === 'string' && data.name ? data.name : f.replace(/^\d+__/, '').replace(/\.json$/i, '');
+      if (!Array.isArray(items) || items.length === 0) continue;
+      ensureGuildBank(guildId);
+      banks.get(guildId).set(name, items);
+      if (!lastBank.get(guildId)) lastBank.set(guildId, name);
+      loaded++;
+    } catch (e) {
+      console.error(`⚠️ Skipping unreadable bank file ${f} (backups are in data/backups):`, e.message);
+    }
+  }
+  if (loaded) console.log(`📚 Loaded ${loaded} bank file(s) from /data`);
+}
+
+// Case-insensitive lookup so `/bank view bank:mental_health` finds "Mental_Health"
+export function findBankName(guildId, name) {
+  const map = banks.get(guildId);
+  if (!name || !map) return null;
+  if (map.has(name)) return name;
+  return [...map.keys()].find(k => k.toLowerCase() === name.toLowerCase()) || null;
+}
+export const dedupeKey = qObj => normalize(qObj.q).toLowerCase().replace(/\s+/g, ' ');
+
+export async function storeBank(guildId, bankName, items) {
+  banks.get(guildId).set(bankName, items);
+  await saveBankToDisk(guildId, bankName, items);
+}
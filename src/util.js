@@ -0,0 +1,3 @@
+/* ====================== UTILS ====================== */
+export const chunk = (arr, size) => { const out=[]; for (let i=0;i<arr.length;i+=size) out.push(arr.slice(i,i+size)); return out; };
+export const normalize = s => (s ?? '').toString().trim();
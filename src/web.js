@@ -0,0 +1,301 @@
+import express from 'express';
+import { createHash, timingSafeEqual } from 'crypto';
+import { sessions, banks, lastBank, ensureGuildBank } from './state.js';
+import { deleteBankFile, findBankName, storeBank } from './storage.js';
+import { DAY_MS, loadHistory, summarizeAnswers, PERIODS } from './history.js';
+import { normalize } from './util.js';
+import {
+  lettersToIdxArray, validateQuestion, DIFFICULTIES, parseDifficulty, parseTags,
+  withMeta, letter, TYPED_TYPES, isTyped, typedKeyFromText, typedKeyToText
+} from './questions.js';
+import { mediaIssues } from './media.js';
+
+/* ================ ADMIN API & DASHBOARD ============== */
+// Everything under /api and /admin needs ADMIN_TOKEN: `Authorization: Bearer <token>`,
+// or the cookie set by the /admin login form. Without ADMIN_TOKEN these routes are disabled.
+export const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+// Behind a TLS-terminating proxy (Render, nginx…) set TRUST_PROXY, e.g. `1` for one hop, so req.secure
+// reflects the visitor's https and the login cookie gets the Secure flag. Passed to express's `trust proxy`.
+const TRUST_PROXY = process.env.TRUST_PROXY || null;
+
+function tokenMatches(given) {
+  if (!ADMIN_TOKEN || !given) return false;
+  const a = createHash('sha256').update(String(given)).digest();
+  const b = createHash('sha256').update(ADMIN_TOKEN).digest();
+  return timingSafeEqual(a, b);
+}
+function readCookie(req, name) {
+  const m = new RegExp(`(?:^|;\\s*)${name}=([^;]*)`).exec(req.headers.cookie || '');
+  return m ? decodeURIComponent(m[1]) : null;
+}
+function requireAdminToken(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(503).json({ error: 'Admin API disabled: set ADMIN_TOKEN' });
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '')?.[1];
+  if (tokenMatches(bearer) || tokenMatches(readCookie(req, 'admin_token'))) return next();
+  if (req.path.startsWith('/api') || req.baseUrl === '/api') return res.status(401).json({ error: 'Unauthorized' });
+  return res.status(401).send(adminPage('Sign in', loginForm()));
+}
+
+const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Accepts the bot's shape (answerIdx) or friendlier fields (answer letters, options as lines)
+function questionFromBody(body = {}, base = {}) {
+  const options = Array.isArray(body.options) ? body.options.map(normalize).filter(Boolean)
+    : normalize(body.options).split(/\r?\n/).map(s => s.trim()).filter(Boolean);
+  const answerIdx = Array.isArray(body.answerIdx) ? body.answerIdx.map(Number)
+    : [...new Set(lettersToIdxArray(normalize(body.answer)))];
+  const tags = Array.isArray(body.tags) ? body.tags.map(t => normalize(t).toLowerCase()).filter(Boolean) : parseTags(body.tags);
+  const { tags: _t, category: _c, difficulty: _d, image: _i, rationaleImage: _ri, fixedOrder: _f,
+    accept: _a, fuzzy: _z, value: _v, unit: _u, tolerance: _tl, tolerancePct: _tp, ...rest } = base;
+  const type = normalize(body.type || 'single').toLowerCase();
+  // Typed questions take the stored shape (accept[] / value) or the CSV-style accept + tolerance text
+  const typedKey = !TYPED_TYPES.includes(type) ? {}
+    : Array.isArray(body.accept) || typeof body.value === 'number'
+      ? withMeta({}, { accept: body.accept, fuzzy: body.fuzzy, value: body.value, unit: body.unit, tolerance: body.tolerance, tolerancePct: body.tolerancePct })
+      : typedKeyFromText(type, body.accept, body.tolerance);
+  return withMeta({
+    ...rest,
+    q: normalize(body.q ?? body.question),
+    type,
+    options: TYPED_TYPES.includes(type) ? [] : options,
+    answerIdx: TYPED_TYPES.includes(type) ? [] : answerIdx,
+    ...typedKey,
+    rationale: normalize(body.rationale)
+  }, { tags, category: normalize(body.category) || undefined, difficulty: parseDifficulty(body.difficulty),
+    image: normalize(body.image), rationaleImage: normalize(body.rationaleImage),
+    fixedOrder: body.fixedOrder === true || body.fixedOrder === 'on' ? true : undefined });
+}
+
+// Guild ids are Discord snowflakes; anything else could escape DATA_DIR, and loadAllBanksFromDisk skips it on restart
+const GUILD_ID_RE = /^\d{17,20}$/;
+
+function guildBanksOr404(req, res) {
+  const map = banks.get(req.params.guildId);
+  if (!map) { res.status(404).json({ error: 'Unknown guild' }); return null; }
+  return map;
+}
+function bankOr404(req, res) {
+  const map = guildBanksOr404(req, res);
+  if (!map) return null;
+  const name = findBankName(req.params.guildId, req.params.bank);
+  if (!name) { res.status(404).json({ error: 'Unknown bank' }); return null; }
+  return { map, name, items: map.get(name) };
+}
+function questionIndexOr404(req, res, items) {
+  const n = parseInt(req.params.n, 10);
+  if (!(n >= 1 && n <= items.length)) { res.status(404).json({ error: 'Unknown question number' }); return null; }
+  return n - 1;
+}
+
+function apiRouter(client) {
+  const api = express.Router();
+  api.use(requireAdminToken, express.json({ limit: '2mb' }));
+  api.param('guildId', (req, res, next, id) => (GUILD_ID_RE.test(id) ? next() : res.status(400).json({ error: 'Invalid guild id' })));
+
+  api.get('/guilds', (_req, res) => {
+    res.json([...banks.entries()].map(([guildId, map]) => ({
+      guildId, name: client.guilds.cache.get(guildId)?.name || null, banks: map.size
+    })));
+  });
+  api.get('/guilds/:guildId/banks', (req, res) => {
+    const map = guildBanksOr404(req, res); if (!map) return;
+    res.json([...map.entries()].map(([name, items]) => ({ name, questions: items.length })));
+  });
+  api.get('/guilds/:guildId/banks/:bank', (req, res) => {
+    const hit = bankOr404(req, res); if (!hit) return;
+    res.json({ name: hit.name, questions: hit.items });
+  });
+  // Create or replace a whole bank: body is an array of questions (or { questions: [...] })
+  api.put('/guilds/:guildId/banks/:bank', async (req, res) => {
+    const list = Array.isArray(req.body) ? req.body : req.body?.questions;
+    if (!Array.isArray(list)) return res.status(400).json({ error: 'Body must be an array of questions' });
+    const items = list.map(b => (isObject(b) ? questionFromBody(b) : null));
+    const errors = [];
+    for (const [i, q] of items.entries()) {
+      if (!q) { errors.push({ index: i, issues: ['must be an object'] }); continue; }
+      const issues = validateQuestion(q);
+      if (!issues.length) issues.push(...await mediaIssues(req.params.guildId, q));
+      if (issues.length) errors.push({ index: i, issues });
+    }
+    if (errors.length) return res.status(400).json({ error: 'Invalid questions', errors });
+    ensureGuildBank(req.params.guildId);
+    const name = findBankName(req.params.guildId, req.params.bank) || req.params.bank;
+    await storeBank(req.params.guildId, name, items);
+    res.json({ name, questions: items.length });
+  });
+  api.delete('/guilds/:guildId/banks/:bank', async (req, res) => {
+    const hit = bankOr404(req, res); if (!hit) return;
+    hit.map.delete(hit.name);
+    if (lastBank.get(req.params.guildId) === hit.name) lastBank.delete(req.params.guildId);
+    await deleteBankFile(req.params.guildId, hit.name);
+    res.status(204).end();
+  });
+  api.get('/guilds/:guildId/banks/:bank/questions/:n', (req, res) => {
+    const hit = bankOr404(req, res); if (!hit) return;
+    const i = questionIndexOr404(req, res, hit.items); if (i === null) return;
+    res.json({ number: i + 1, question: hit.items[i] });
+  });
+  api.post('/guilds/:guildId/banks/:bank/questions', async (req, res) => {
+    ensureGuildBank(req.params.guildId);
+    const name = findBankName(req.params.guildId, req.params.bank) || req.params.bank;
+    if (!isObject(req.body)) return res.status(400).json({ error: 'Body must be a question object' });
+    const row = questionFromBody(req.body);
+    const issues = validateQuestion(row);
+    if (!issues.length) issues.push(...await mediaIssues(req.params.guildId, row));
+    if (issues.length) return res.status(400).json({ error: 'Invalid question', issues });
+    const next = [...(banks.get(req.params.guildId).get(name) || []), row];
+    await storeBank(req.params.guildId, name, next);
+    res.status(201).json({ number: next.length, question: row });
+  });
+  api.put('/guilds/:guildId/banks/:bank/questions/:n', async (req, res) => {
+    const hit = bankOr404(req, res); if (!hit) return;
+    const i = questionIndexOr404(req, res, hit.items); if (i === null) return;
+    if (!isObject(req.body)) return res.status(400).json({ error: 'Body must be a question object' });
+    const row = questionFromBody(req.body, hit.items[i]);
+    const issues = validateQuestion(row);
+    if (!issues.length) issues.push(...await mediaIssues(req.params.guildId, row));
+    if (issues.length) return res.status(400).json({ error: 'Invalid question', issues });
+    const next = [...hit.items]; next[i] = row;
+    await storeBank(req.params.guildId, hit.name, next);
+    res.json({ number: i + 1, question: row });
+  });
+  api.delete('/guilds/:guildId/banks/:bank/questions/:n', async (req, res) => {
+    const hit = bankOr404(req, res); if (!hit) return;
+    const i = questionIndexOr404(req, res, hit.items); if (i === null) return;
+    await storeBank(req.params.guildId, hit.name, hit.items.filter((_, k) => k !== i));
+    res.status(204).end();
+  });
+  api.get('/sessions', (req, res) => {
+    const out = [...sessions.entries()]
+      .filter(([, s]) => !req.query.guildId || s.guildId === req.query.guildId)
+      .map(([channelId, s]) => ({
+        channelId, guildId: s.guildId || null, bank: s.bankName, mode: s.mode,
+        question: s.index + 1, total: s.bank.length, active: s.active, lobby: !!s.lobby,
+        scoreboard: Object.fromEntries(s.scoreboard)
+      }));
+    res.json(out);
+  });
+  api.get('/guilds/:guildId/stats', async (req, res) => {
+    const rows = await loadHistory(req.params.guildId);
+    const byBank = {};
+    for (const r of rows) (byBank[r.bank || 'unknown'] ||= []).push(r);
+    const since = PERIODS.week.since();
+    res.json({
+      overall: summarizeAnswers(rows),
+      thisWeek: summarizeAnswers(rows.filter(r => r.ts >= since)),
+      learners: new Set(rows.map(r => r.userId)).size,
+      byBank: Object.fromEntries(Object.entries(byBank).map(([k, v]) => [k, summarizeAnswers(v)]))
+    });
+  });
+  return api;
+}
+
+// ---- Server-rendered editor ----
+const esc = s => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+const enc = encodeURIComponent;
+function adminPage(title, body) {
+  return `<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${esc(title)} · Katie Study Bot</title>
+<style>body{font:15px system-ui,sans-serif;max-width:960px;margin:2rem auto;padding:0 1rem;color:#222}
+a{color:#00816a}textarea,input,select{width:100%;box-sizing:border-box;font:inherit;margin:.2rem 0 .6rem}
+details{border:1px solid #ddd;border-radius:6px;padding:.5rem 1rem;margin:.5rem 0}summary{cursor:pointer}
+.row{display:grid;grid-template-columns:repeat(4,1fr);gap:.6rem}button{font:inherit;padding:.35rem .9rem;cursor:pointer}
+.danger{color:#b00}.muted{color:#777}</style></head><body><h1>${esc(title)}</h1>${body}</body></html>`;
+}
+function loginForm() {
+  return `<form method="post" action="/admin/login"><label>Admin token<input type="password" name="token" autofocus></label><button>Sign in</button></form>`;
+}
+function questionForm(action, q = {}) {
+  return `<form method="post" action="${action}">
+<label>Question<textarea name="q" rows="3" required>${esc(q.q)}</textarea></label>
+<label>Options (one per line; leave empty for fill/numeric)<textarea name="options" rows="5">${esc((q.options || []).join('\n'))}</textarea></label>
+<div class="row">
+<label>Answer letters<input name="answer" value="${esc((q.answerIdx || []).map(letter).join(';'))}"></label>
+<label>Type<select name="type">${['single', 'sata', 'tf', ...TYPED_TYPES].map(t => `<option${(q.type || 'single') === t ? ' selected' : ''}>${t}</option>`).join('')}</select></label>
+<label>Category<input name="category" value="${esc(q.category)}"></label>
+<label>Difficulty<select name="difficulty"><option value=""></option>${DIFFICULTIES.map(d => `<option${q.difficulty === d ? ' selected' : ''}>${d}</option>`).join('')}</select></label>
+</div>
+<label>Tags (separated by |)<input name="tags" value="${esc((q.tags || []).join('|'))}"></label>
+<div class="row">
+<label>Accepted answers (fill: a|b, numeric: 12.5 mL/hr)<input name="accept" value="${esc(isTyped(q) ? typedKeyToText(q).accept : '')}"></label>
+<label>Tolerance (numeric: 0.1 or 5%, fill: fuzzy 0–1)<input name="tolerance" value="${esc(isTyped(q) ? typedKeyToText(q).tolerance : '')}"></label>
+</div>
+<div class="row">
+<label>Image (URL or uploaded file name)<input name="image" value="${esc(q.image)}"></label>
+<label>Rationale image<input name="rationaleImage" value="${esc(q.rationaleImage)}"></label>
+</div>
+<label><input type="checkbox" name="fixedOrder"${q.fixedOrder ? ' checked' : ''}> Keep option order (never shuffle)</label>
+<label>Rationale<textarea name="rationale" rows="3">${esc(q.rationale)}</textarea></label>
+<button>Save</button></form>`;
+}
+
+function adminRouter(client) {
+  const admin = express.Router();
+  admin.use(express.urlencoded({ extended: false }));
+  admin.post('/login', (req, res) => {
+    if (!tokenMatches(req.body?.token)) return res.status(401).send(adminPage('Sign in', `<p class="danger">Wrong token.</p>${loginForm()}`));
+    res.cookie('admin_token', req.body.token, { httpOnly: true, sameSite: 'strict', secure: req.secure, maxAge: 7 * DAY_MS });
+    res.redirect('/admin');
+  });
+  admin.use(requireAdminToken);
+  admin.param('guildId', (req, res, next, id) => (GUILD_ID_RE.test(id) ? next() : res.status(400).send(adminPage('Invalid guild id', '<p><a href="/admin">Back</a></p>'))));
+  admin.get('/', (_req, res) => {
+    const list = [...banks.entries()].map(([guildId, map]) => {
+      const name = client.guilds.cache.get(guildId)?.name || guildId;
+      const items = [...map.entries()].map(([b, qs]) => `<li><a href="/admin/${enc(guildId)}/${enc(b)}">${esc(b)}</a> <span class="muted">${qs.length} q</span></li>`).join('');
+      const live = [...sessions.values()].filter(s => s.guildId === guildId).length;
+      return `<h2>${esc(name)}</h2><p class="muted">${live} live quiz${live === 1 ? '' : 'zes'}</p><ul>${items}</ul>`;
+    }).join('');
+    res.send(adminPage('Question banks', list || '<p>No banks loaded yet.</p>'));
+  });
+  admin.get('/:guildId/:bank', (req, res) => {
+    const name = findBankName(req.params.guildId, req.params.bank);
+    if (!name) return res.status(404).send(adminPage('Not found', '<p><a href="/admin">Back</a></p>'));
+    const base = `/admin/${enc(req.params.guildId)}/${enc(name)}`;
+    const items = banks.get(req.params.guildId).get(name);
+    const list = items.map((q, i) => `<details id="q${i + 1}"><summary><b>${i + 1}.</b> ${esc(q.q.slice(0, 120))}</summary>
+${questionForm(`${base}/${i + 1}`, q)}
+<form method="post" action="${base}/${i + 1}/delete" onsubmit="return confirm('Delete question ${i + 1}?')"><button class="danger">Delete</button></form></details>`).join('');
+    const flash = req.query.error ? `<p class="danger">${esc(req.query.error)}</p>` : req.query.saved ? `<p>✅ Saved #${esc(req.query.saved)}</p>` : '';
+    res.send(adminPage(`${name} (${items.length})`, `<p><a href="/admin">← All banks</a></p>${flash}${list}<h2>Add a question</h2>${questionForm(`${base}/new`)}`));
+  });
+  admin.post('/:guildId/:bank/:n', async (req, res) => {
+    const guildId = req.params.guildId;
+    const name = findBankName(guildId, req.params.bank);
+    if (!name) return res.status(404).send(adminPage('Not found', '<p><a href="/admin">Back</a></p>'));
+    const items = banks.get(guildId).get(name);
+    const base = `/admin/${enc(guildId)}/${enc(name)}`;
+    const isNew = req.params.n === 'new';
+    const i = isNew ? items.length : parseInt(req.params.n, 10) - 1;
+    if (!isNew && !(i >= 0 && i < items.length)) return res.redirect(`${base}?error=${enc('Unknown question number')}`);
+    const row = questionFromBody(req.body, isNew ? {} : items[i]);
+    const issues = validateQuestion(row);
+    if (!issues.length) issues.push(...await mediaIssues(guildId, row));
+    if (issues.length) return res.redirect(`${base}?error=${enc(`Not saved: ${issues.join(', ')}`)}`);
+    const next = [...items]; next[i] = row;
+    await storeBank(guildId, name, next);
+    res.redirect(`${base}?saved=${i + 1}#q${i + 1}`);
+  });
+  admin.post('/:guildId/:bank/:n/delete', async (req, res) => {
+    const guildId = req.params.guildId;
+    const name = findBankName(guildId, req.params.bank);
+    if (!name) return res.status(404).send(adminPage('Not found', '<p><a href="/admin">Back</a></p>'));
+    const items = banks.get(guildId).get(name);
+    const i = parseInt(req.params.n, 10) - 1;
+    if (i >= 0 && i < items.length) await storeBank(guildId, name, items.filter((_, k) => k !== i));
+    res.redirect(`/admin/${enc(guildId)}/${enc(name)}`);
+  });
+  return admin;
+}
+
+// --- Tiny web server for Render (prevents free tier sleep) ---
+export function createWebApp(client) {
+  const app = express();
+  if (TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === 'true' || TRUST_PROXY);
+  app.get('/', (_req, res) => {
+    res.send('Katie Study Bot is running ✅');
+  });
+  app.use('/api', apiRouter(client));
+  app.use('/admin', adminRouter(client));
+  return app;
+}
@@ -0,0 +1,46 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import { FakeClient, waitFor } from './helpers/fakeDiscord.js';
+import { banks } from '../src/state.js';
+import { handleInteraction } from '../src/handlers/index.js';
+
+const FILL = {
+  q: 'Drug class ending in -olol?', type: 'fill', options: [], answerIdx: [], accept: ['beta blocker'], fuzzy: true, rationale: '',
+  tags: ['cardio'], category: 'Pharm', difficulty: 'hard', image: 'https://example.com/ecg.png'
+};
+
+let client, guild, channel, admin;
+
+beforeEach(() => {
+  client = new FakeClient();
+  guild = client.createGuild();
+  channel = client.createChannel(guild);
+  admin = client.createUser('admin');
+  banks.set(guild.id, new Map([['Pharm', [{ ...FILL }]]]));
+});
+
+const edit = async modal => {
+  const interaction = client.command(channel, admin, 'bank', { subcommand: 'edit', bank: 'pharm', number: 1 }, { admin: true, modal });
+  await handleInteraction(interaction);
+  return waitFor(() => channel.sent.find(m => m.content.startsWith('✅ Saved')));
+};
+
+test('/bank edit rebuilds a question for its new type and keeps the fields the form lacks', async () => {
+  const reply = await edit({ q: 'Which is a beta blocker?', options: 'Metoprolol\nLisinopril', answer: 'A', type: 'single', rationale: '' });
+  const [q] = banks.get(guild.id).get('Pharm');
+  assert.deepEqual(q, {
+    q: 'Which is a beta blocker?', type: 'single', options: ['Metoprolol', 'Lisinopril'], answerIdx: [0], rationale: '',
+    tags: ['cardio'], category: 'Pharm', difficulty: 'hard', image: 'https://example.com/ecg.png'
+  });
+  assert.match(reply.content, /Tags, category, difficulty, images and fixed order were left as they were/);
+});
+
+test('/bank edit into a typed question drops the old options and answer letters', async () => {
+  banks.get(guild.id).set('Pharm', [{ q: 'Pick one', type: 'single', options: ['a', 'b'], answerIdx: [1], fixedOrder: true, rationale: '' }]);
+  const reply = await edit({ q: 'Normal K+ upper limit?', options: '', answer: '5.0 mmol/L', type: 'numeric', rationale: '' });
+  const [q] = banks.get(guild.id).get('Pharm');
+  assert.equal(q.type, 'numeric');
+  assert.deepEqual([q.options, q.answerIdx, q.fixedOrder], [[], [], undefined]);
+  assert.doesNotMatch(reply.content, /left as they were/);
+});
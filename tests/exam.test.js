@@ -0,0 +1,52 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import { FakeClient, waitFor } from './helpers/fakeDiscord.js';
+import { banks, lastBank } from '../src/state.js';
+import { exams } from '../src/exam.js';
+import { handleInteraction } from '../src/handlers/index.js';
+
+const TYPED = [
+  { q: 'Drug class ending in -olol?', type: 'fill', options: [], answerIdx: [], accept: ['beta blocker'], rationale: 'Metoprolol, atenolol…' }
+];
+
+let client, channel, alice;
+
+beforeEach(() => {
+  client = new FakeClient();
+  const guild = client.createGuild();
+  channel = client.createChannel(guild);
+  alice = client.createUser('alice');
+  banks.set(guild.id, new Map([['typed', TYPED]]));
+  lastBank.set(guild.id, 'typed');
+});
+
+const startExam = async () => {
+  const interaction = client.command(channel, alice, 'exam', { bank: 'typed' });
+  await handleInteraction(interaction);
+  return interaction.replyMessage;
+};
+const missedField = msg => msg.embeds[0]?.fields?.find(f => f.name.startsWith('Missed'));
+
+test('a wrong typed answer shows up in the exam report', async () => {
+  const page = await startExam();
+  assert.ok(page.customIds.includes('exam_type'));
+  client.click(page, alice, 'exam_type', { modal: { answer: 'ACE inhibitor' } });
+  await waitFor(() => page.edits.length);
+  client.click(page, alice, 'exam_submit');
+
+  const missed = await waitFor(() => missedField(page));
+  assert.match(page.content, /Exam submitted/);
+  assert.match(missed.value, /You: “ACE inhibitor” • Answer: beta blocker/);
+  assert.equal(exams.size, 0);
+});
+
+test('a skipped typed item is reported when time runs out', async () => {
+  const page = await startExam();
+  page.activeCollector.expire();
+
+  const missed = await waitFor(() => missedField(page));
+  assert.match(page.content, /Time expired/);
+  assert.match(missed.value, /You: — • Answer: beta blocker/);
+  assert.equal(page.files[0].name, 'exam-report.txt');
+});
@@ -0,0 +1,10 @@
+// Import first: points the bot's data directory at a throwaway folder before any src module reads it
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'katie-study-bot-'));
+process.env.DATA_DIR = dir;
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+export const DATA_DIR = dir;
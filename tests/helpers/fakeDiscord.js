@@ -0,0 +1,284 @@
+// Offline stand-in for the bits of discord.js the bot touches: channels, messages,
+// component collectors and chat-command / button / select / modal interactions.
+// Messages keep plain JSON (builders are flattened) so tests can assert on them.
+import { EventEmitter } from 'events';
+import { Collection } from 'discord.js';
+
+let nextId = 1000;
+const snowflake = () => String(nextId++);
+
+const toJSON = x => (x && typeof x.toJSON === 'function' ? x.toJSON() : x);
+
+function normalizePayload(payload) {
+  if (typeof payload === 'string') return { content: payload };
+  const out = { ...payload };
+  if (out.embeds) out.embeds = out.embeds.map(toJSON);
+  if (out.components) out.components = out.components.map(toJSON);
+  return out;
+}
+
+export class FakeCollector extends EventEmitter {
+  constructor(message, options = {}) {
+    super();
+    this.message = message;
+    this.options = options;
+    this.collected = new Collection();
+    this.ended = false;
+    this.endReason = null;
+  }
+  handle(interaction) {
+    if (this.ended) return false;
+    if (this.options.filter && !this.options.filter(interaction)) return false;
+    this.collected.set(interaction.id, interaction);
+    this.emit('collect', interaction);
+    return true;
+  }
+  stop(reason = 'user') {
+    if (this.ended) return;
+    this.ended = true;
+    this.endReason = reason;
+    this.emit('end', this.collected, reason);
+  }
+  // What discord.js does when `time` runs out
+  expire() {
+    this.stop('time');
+  }
+}
+
+export class FakeMessage {
+  constructor(channel, payload, { ephemeral = false, author = null } = {}) {
+    this.id = snowflake();
+    this.channel = channel;
+    this.channelId = channel.id;
+    this.author = author;
+    this.ephemeral = ephemeral;
+    this.collectors = [];
+    this.edits = [];
+    this.deleted = false;
+    this.apply(payload);
+  }
+  apply(payload) {
+    const p = normalizePayload(payload);
+    this.content = p.content ?? this.content ?? '';
+    this.embeds = p.embeds ?? this.embeds ?? [];
+    this.components = p.components ?? this.components ?? [];
+    this.files = p.files ?? this.files ?? [];
+  }
+  async edit(payload) {
+    this.edits.push(normalizePayload(payload));
+    this.apply(payload);
+    return this;
+  }
+  async delete() {
+    this.deleted = true;
+  }
+  createMessageComponentCollector(options = {}) {
+    const collector = new FakeCollector(this, options);
+    this.collectors.push(collector);
+    return collector;
+  }
+  get activeCollector() {
+    return this.collectors.find(c => !c.ended) || null;
+  }
+  // Every custom id on the message's buttons and select menus
+  get customIds() {
+    return this.components.flatMap(row => row.components || []).map(c => c.custom_id).filter(Boolean);
+  }
+}
+
+export class FakeChannel {
+  constructor(client, guild, id = snowflake()) {
+    this.id = id;
+    this.client = client;
+    this.guild = guild;
+    this.guildId = guild?.id ?? null;
+    this.sent = [];
+    this.messages = {
+      fetch: async messageId => this.sent.find(m => m.id === messageId) || Promise.reject(Object.assign(new Error('Unknown Message'), { code: 10008 }))
+    };
+  }
+  isTextBased() {
+    return true;
+  }
+  async send(payload, opts = {}) {
+    const msg = new FakeMessage(this, payload, { author: this.client.user, ...opts });
+    this.sent.push(msg);
+    return msg;
+  }
+  // Public messages in order (ephemeral replies are only visible to one user)
+  get publicMessages() {
+    return this.sent.filter(m => !m.ephemeral);
+  }
+  get lastMessage() {
+    return this.publicMessages.at(-1) || null;
+  }
+}
+
+class FakeOptions {
+  constructor({ subcommand = null, ...values } = {}) {
+    this.subcommand = subcommand;
+    this.values = values;
+  }
+  get(name, required) {
+    const v = this.values[name];
+    if (v === undefined || v === null) {
+      if (required) throw new Error(`Missing required option "${name}"`);
+      return null;
+    }
+    return v;
+  }
+  getSubcommand() { return this.subcommand; }
+  getString(name, required) { return this.get(name, required); }
+  getInteger(name, required) { return this.get(name, required); }
+  getNumber(name, required) { return this.get(name, required); }
+  getBoolean(name, required) { return this.get(name, required); }
+  getUser(name, required) { return this.get(name, required); }
+  getChannel(name, required) { return this.get(name, required); }
+  getRole(name, required) { return this.get(name, required); }
+  getAttachment(name, required) { return this.get(name, required); }
+}
+
+class FakeBaseInteraction {
+  constructor(client, channel, user, { admin = false, modal = null } = {}) {
+    this.id = snowflake();
+    this.client = client;
+    this.channel = channel;
+    this.channelId = channel.id;
+    this.guild = channel.guild;
+    this.guildId = channel.guildId;
+    this.user = user;
+    this.member = { id: user.id, user, roles: [] };
+    this.memberPermissions = { has: () => admin };
+    this.replied = false;
+    this.deferred = false;
+    this.replyMessage = null;
+    this.modalAnswers = modal; // fields for awaitModalSubmit; null = the user closes the modal
+    this.shownModal = null;
+  }
+  isChatInputCommand() { return false; }
+  isButton() { return false; }
+  isStringSelectMenu() { return false; }
+  isModalSubmit() { return false; }
+  async reply(payload) {
+    if (this.replied || this.deferred) throw Object.assign(new Error('Interaction has already been acknowledged.'), { code: 40060 });
+    this.replied = true;
+    this.replyMessage = await this.channel.send(payload, { ephemeral: !!payload?.ephemeral });
+    return this.replyMessage;
+  }
+  async deferReply(opts = {}) {
+    this.deferred = true;
+    this.replyMessage = await this.channel.send({ content: '…' }, { ephemeral: !!opts.ephemeral });
+  }
+  async fetchReply() {
+    return this.replyMessage;
+  }
+  async editReply(payload) {
+    return this.replyMessage.edit(payload);
+  }
+  async followUp(payload) {
+    return this.channel.send(payload, { ephemeral: !!payload?.ephemeral });
+  }
+  async showModal(modal) {
+    this.replied = true;
+    this.shownModal = toJSON(modal);
+  }
+  async awaitModalSubmit({ filter } = {}) {
+    if (!this.shownModal || !this.modalAnswers) throw Object.assign(new Error('Collector received no interactions before ending with reason: time'), { code: 'InteractionCollectorError' });
+    const submit = new FakeModalSubmitInteraction(this, this.shownModal.custom_id, this.modalAnswers);
+    if (filter && !filter(submit)) throw new Error('Modal submit rejected by filter');
+    return submit;
+  }
+}
+
+export class FakeChatInputInteraction extends FakeBaseInteraction {
+  constructor(client, channel, user, commandName, options = {}, opts) {
+    super(client, channel, user, opts);
+    this.commandName = commandName;
+    this.options = new FakeOptions(options);
+  }
+  isChatInputCommand() { return true; }
+}
+
+export class FakeModalSubmitInteraction extends FakeBaseInteraction {
+  constructor(source, customId, fields) {
+    super(source.client, source.channel, source.user);
+    this.customId = customId;
+    this.message = source.message;
+    this.fields = { getTextInputValue: id => fields[id] ?? '' };
+  }
+  isModalSubmit() { return true; }
+  async update(payload) {
+    this.replied = true;
+    return this.message.edit(payload);
+  }
+}
+
+export class FakeComponentInteraction extends FakeBaseInteraction {
+  constructor(client, message, user, customId, { values = null, modal = null } = {}) {
+    super(client, message.channel, user, { modal });
+    this.message = message;
+    this.customId = customId;
+    this.values = values;
+  }
+  isButton() { return this.values === null; }
+  isStringSelectMenu() { return this.values !== null; }
+  async update(payload) {
+    this.replied = true;
+    return this.message.edit(payload);
+  }
+  async deferUpdate() {
+    this.deferred = true;
+  }
+}
+
+export class FakeClient {
+  constructor() {
+    this.user = { id: snowflake(), username: 'Katie Study Bot', tag: 'Katie Study Bot#0000', bot: true };
+    this.knownUsers = new Map();
+    this.knownChannels = new Map();
+    this.guilds = { cache: new Collection() };
+    this.users = {
+      fetch: async id => this.knownUsers.get(id) || Promise.reject(Object.assign(new Error('Unknown User'), { code: 10013 }))
+    };
+    this.channels = {
+      fetch: async id => this.knownChannels.get(id) || Promise.reject(Object.assign(new Error('Unknown Channel'), { code: 10003 }))
+    };
+  }
+  createUser(username) {
+    const user = { id: snowflake(), username, bot: false, toString() { return `<@${this.id}>`; } };
+    this.knownUsers.set(user.id, user);
+    return user;
+  }
+  createGuild(name = 'Study Group') {
+    const guild = { id: snowflake(), name, roles: { cache: new Collection() } };
+    this.guilds.cache.set(guild.id, guild);
+    return guild;
+  }
+  createChannel(guild) {
+    const channel = new FakeChannel(this, guild);
+    this.knownChannels.set(channel.id, channel);
+    return channel;
+  }
+  command(channel, user, commandName, options = {}, opts = {}) {
+    return new FakeChatInputInteraction(this, channel, user, commandName, options, opts);
+  }
+  // Routes a click to the message's running collector, the way Discord delivers component interactions
+  click(message, user, customId, opts = {}) {
+    const interaction = new FakeComponentInteraction(this, message, user, customId, opts);
+    const collector = message.activeCollector;
+    if (!collector) throw new Error(`No active collector on message ${message.id}`);
+    collector.handle(interaction);
+    return interaction;
+  }
+}
+
+// Polls until `check` returns something truthy; the bot's handlers run on unawaited promises and file IO
+export async function waitFor(check, { timeout = 2000, interval = 5 } = {}) {
+  const start = Date.now();
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() - start > timeout) throw new Error(`waitFor timed out: ${check}`);
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import http from 'http';
+import { deflateRawSync } from 'zlib';
+import { DATA_DIR } from './helpers/env.js';
+import { unpackImportZip, checkQuestionMedia } from '../src/media.js';
+import { parseImport } from '../src/parsing.js';
+
+// Bare-bones zip writer (no CRCs — the importer doesn't check them). `size` overrides the declared uncompressed size.
+function makeZip(files) {
+  const locals = [], central = [];
+  let offset = 0;
+  for (const { name, data, deflate = true, size = data.length } of files) {
+    const body = deflate ? deflateRawSync(data) : data;
+    const nameBuf = Buffer.from(name);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    const dir = Buffer.alloc(46);
+    dir.writeUInt32LE(0x02014b50, 0);
+    dir.writeUInt16LE(deflate ? 8 : 0, 10);
+    dir.writeUInt32LE(body.length, 20);
+    dir.writeUInt32LE(size, 24);
+    dir.writeUInt16LE(nameBuf.length, 28);
+    dir.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuf, body);
+    central.push(dir, nameBuf);
+    offset += local.length + nameBuf.length + body.length;
+  }
+  const dirBuf = Buffer.concat(central);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(files.length, 8);
+  eocd.writeUInt16LE(files.length, 10);
+  eocd.writeUInt32LE(dirBuf.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, dirBuf, eocd]);
+}
+
+const csv = { name: 'questions.csv', data: Buffer.from('question,a,b,answer\nSky?,Blue,Green,A\n') };
+
+test('unpackImportZip returns the question file and stores images', async () => {
+  const png = Buffer.from('not really a png');
+  const zip = makeZip([csv, { name: 'img/ecg.png', data: png }, { name: 'raw.jpg', data: png, deflate: false }]);
+  const { text, fileName, saved } = await unpackImportZip('5001', zip);
+  assert.equal(fileName, 'questions.csv');
+  assert.match(text, /Sky\?,Blue/);
+  assert.equal(saved, 2);
+  assert.deepEqual(await fs.readFile(path.join(DATA_DIR, 'media', '5001', 'ecg.png')), png);
+});
+
+test('unpackImportZip rejects entries that declare more than the media limit', async () => {
+  const zip = makeZip([csv, { name: 'huge.png', data: Buffer.alloc(10), size: 9 * 1024 * 1024 }]);
+  await assert.rejects(unpackImportZip('5002', zip), /huge\.png is larger than 8 MB/);
+});
+
+test('unpackImportZip stops entries that inflate past the limit despite a small declared size', async () => {
+  const zip = makeZip([csv, { name: 'bomb.png', data: Buffer.alloc(9 * 1024 * 1024), size: 100 }]);
+  await assert.rejects(unpackImportZip('5003', zip), /bomb\.png is larger than 8 MB/);
+});
+
+test('unpackImportZip rejects zips with too many files', async () => {
+  const files = Array.from({ length: 1001 }, (_, i) => ({ name: `${i}.txt`, data: Buffer.from('x'), deflate: false }));
+  await assert.rejects(unpackImportZip('5004', makeZip(files)), /more than 1000 files/);
+});
+
+// Image host: /ok/* answers with an image after `delayMs`, anything else is a 404. Counts requests per path.
+async function imageHost(delayMs = 0) {
+  const hits = new Map();
+  const server = http.createServer((req, res) => {
+    hits.set(req.url, (hits.get(req.url) || 0) + 1);
+    setTimeout(() => {
+      res.writeHead(req.url.startsWith('/ok/') ? 200 : 404, { 'content-type': 'image/png' });
+      res.end();
+    }, delayMs);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { base: `http://127.0.0.1:${server.address().port}`, hits, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('checkQuestionMedia checks each image once and reports file line numbers', async () => {
+  const host = await imageHost();
+  try {
+    const csv = [
+      'question,a,b,answer,image',
+      `Q1?,x,y,A,${host.base}/ok/ecg.png`,
+      `Q2?,x,y,A,${host.base}/ok/ecg.png`,
+      `Q3?,x,y,A,${host.base}/missing.png`,
+      'Broken,x,,A,',
+      `Q5?,x,y,A,${host.base}/missing.png`
+    ].join('\n');
+    const parsed = parseImport(csv, 'bank.csv');
+    const { items, rejected, unchecked } = await checkQuestionMedia('5005', parsed.items, parsed.rejected);
+    assert.deepEqual(items.map(q => q.q), ['Q1?', 'Q2?']);
+    assert.deepEqual(rejected.map(r => r.row), [4, 5, 6]);
+    assert.equal(unchecked, 0);
+    assert.equal(host.hits.get('/ok/ecg.png'), 1);
+    assert.equal(host.hits.get('/missing.png'), 1);
+  } finally {
+    await host.close();
+  }
+});
+
+test('checkQuestionMedia lets images through unchecked once its time budget runs out', async () => {
+  const host = await imageHost(200);
+  try {
+    const items = Array.from({ length: 40 }, (_, i) => ({ q: `Q${i}?`, type: 'single', options: ['x', 'y'], answerIdx: [0], image: `${host.base}/slow/${i}.png` }));
+    const started = Date.now();
+    const res = await checkQuestionMedia('5006', items, [], { budgetMs: 100 });
+    assert.ok(Date.now() - started < 2000, 'checks run in parallel and stop at the budget');
+    assert.ok(res.unchecked > 0);
+    // Only the checks that finished (a 404 each) reject rows
+    assert.equal(res.rejected.length, 40 - res.unchecked);
+    assert.equal(res.items.length, res.unchecked);
+  } finally {
+    await host.close();
+  }
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import { parseCsvSmart, parseImport, bankToCsv } from '../src/parsing.js';
+
+const CSV = [
+  'question,type,options,answer,explanation,tags,difficulty',
+  '"Which PPE for contact precautions?",sata,Gloves|Gown|N95,A;B,"Gloves, gown.",infection|ppe,easy',
+  'Priority for sepsis?,single,Feeds|Cultures|Lorazepam,Cultures,Cultures before antibiotics.,,hard',
+  'Broken row,single,Only one,A,,,'
+].join('\n');
+
+test('parseCsvSmart reads quoted cells, answer letters and answer text', () => {
+  const { items, rejected, meta } = parseCsvSmart(CSV);
+  assert.equal(meta.rows, 3);
+  assert.equal(items.length, 2);
+  assert.deepEqual(items[0], {
+    q: 'Which PPE for contact precautions?', type: 'sata', options: ['Gloves', 'Gown', 'N95'], answerIdx: [0, 1],
+    rationale: 'Gloves, gown.', tags: ['infection', 'ppe'], difficulty: 'easy'
+  });
+  assert.deepEqual(items[1].answerIdx, [1]);
+  assert.equal(items[1].difficulty, 'hard');
+  assert.deepEqual(rejected, [{ row: 4, issues: ['needs ≥2 options'], preview: 'Broken row' }]);
+});
+
+test('parseCsvSmart handles a BOM, CRLF and multi-line quoted cells', () => {
+  const text = '\uFEFFquestion,a,b,answer\r\n"Line one\r\nline two",Yes,No,A\r\n';
+  const { items } = parseCsvSmart(text);
+  assert.equal(items.length, 1);
+  assert.equal(items[0].q, 'Line one\r\nline two');
+  assert.deepEqual(items[0].options, ['Yes', 'No']);
+});
+
+test('parseCsvSmart rejects files without the required headers', () => {
+  assert.throws(() => parseCsvSmart('prompt,notes\nx,y\n'), /Headers must include at least/);
+});
+
+test('parseImport detects Aiken text', () => {
+  const text = 'What is 2+2?\nA. 3\nB. 4\nANSWER: B\n\nSky colour?\nA) Blue\nB) Green\nANSWER: A\n';
+  const { items, meta } = parseImport(text, 'week1.txt');
+  assert.equal(meta.format, 'aiken');
+  assert.deepEqual(items.map(q => q.answerIdx), [[1], [0]]);
+});
+
+test('parseImport reads GIFT multiple choice and numeric questions', () => {
+  const text = '::q1:: Heart chambers? {=Four ~Two ~Three}\n\n::q2:: Normal adult temp in C? {#37:0.5}\n';
+  const { items, rejected, meta } = parseImport(text, 'bank.gift');
+  assert.equal(meta.format, 'gift');
+  assert.deepEqual(rejected, []);
+  assert.equal(items[0].options[items[0].answerIdx[0]], 'Four');
+  assert.equal(items[1].type, 'numeric');
+  assert.equal(items[1].value, 37);
+});
+
+test('GIFT errors point at the right line after multi-line answers, comments and extra blank lines', () => {
+  const text = [
+    '// Week 1',                           // 1
+    '// reviewed by the clinical lead',    // 2
+    '::q1:: Heart chambers? {',            // 3
+    '  =Four',                             // 4
+    '  ~Two',                              // 5
+    '}',                                   // 6
+    '',                                    // 7
+    '',                                    // 8
+    '   ',                                 // 9
+    '// no answer block below',            // 10
+    '',                                    // 11
+    '::q2:: Missing braces',               // 12
+    '',                                    // 13
+    '::q3:: Match {=a -> 1 =b -> 2}'       // 14
+  ].join('\r\n');
+  const { items, rejected } = parseImport(text, 'bank.gift');
+  assert.equal(items.length, 1);
+  assert.deepEqual(rejected.map(r => r.row), [12, 14]);
+});
+
+test('JSON banks report entries that are not question objects', () => {
+  const text = JSON.stringify([{ q: 'Sky?', options: ['Blue', 'Green'], answerIdx: [0] }, 'ab', null, [1, 2]]);
+  const { items, rejected } = parseImport(text, 'bank.json');
+  assert.equal(items.length, 1);
+  assert.deepEqual(rejected.map(r => [r.row, r.issues]), [[2, ['not a question object']], [3, ['not a question object']], [4, ['not a question object']]]);
+});
+
+test('bankToCsv round-trips through parseCsvSmart', () => {
+  const { items } = parseCsvSmart(CSV);
+  const typed = { q: 'Rate?', type: 'numeric', options: [], answerIdx: [], value: 12.5, unit: 'mL/hr', rationale: '' };
+  // A "|" inside an option and option text that starts like a letter prefix ("E. coli")
+  const tricky = [
+    { q: 'Which pair?', type: 'single', options: ['a|b', 'c'], answerIdx: [1], rationale: '' },
+    { q: 'Gram-negative rod?', type: 'single', options: ['E. coli', 'T. gondii', 'S. aureus'], answerIdx: [0], rationale: '' }
+  ];
+  const all = [...items, typed, ...tricky];
+  const again = parseCsvSmart(bankToCsv(all));
+  assert.deepEqual(again.rejected, []);
+  assert.deepEqual(again.items.map(q => [q.q, q.type, q.options, q.answerIdx, q.tags]), all.map(q => [q.q, q.type, q.options, q.answerIdx, q.tags]));
+  assert.equal(again.items[2].value, 12.5);
+  assert.equal(again.items[2].unit, 'mL/hr');
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import { lettersToIdxArray, validateQuestion, scoreSelection, typedKeyFromText } from '../src/questions.js';
+
+const sata = { q: 'PPE for contact precautions?', type: 'sata', options: ['Gloves', 'Gown', 'N95', 'Goggles'], answerIdx: [0, 1] };
+
+test('lettersToIdxArray reads letters, 1-based numbers and mixed separators', () => {
+  assert.deepEqual(lettersToIdxArray('A'), [0]);
+  assert.deepEqual(lettersToIdxArray('a, c;D'), [0, 2, 3]);
+  assert.deepEqual(lettersToIdxArray('2;4'), [1, 3]);
+  assert.deepEqual(lettersToIdxArray('A;??;B'), [0, 1]);
+  assert.deepEqual(lettersToIdxArray(''), []);
+});
+
+test('validateQuestion accepts a well-formed question', () => {
+  assert.deepEqual(validateQuestion(sata), []);
+});
+
+test('validateQuestion reports missing parts', () => {
+  assert.deepEqual(validateQuestion({ q: '', options: ['Only one'], answerIdx: [] }), ['missing prompt', 'needs ≥2 options', 'missing answer(s)']);
+  assert.deepEqual(validateQuestion({ q: 'x', options: ['a', 'b'], answerIdx: [2] }), ['answer index out of range']);
+  assert.ok(validateQuestion({ ...sata, difficulty: 'brutal' }).some(i => i.startsWith('difficulty must be')));
+});
+
+test('scoreSelection is all-or-nothing by default', () => {
+  assert.equal(scoreSelection(sata, [0, 1]).points, 1);
+  assert.equal(scoreSelection(sata, [0, 1]).exact, true);
+  assert.equal(scoreSelection(sata, [0]).points, 0);
+  assert.equal(scoreSelection(sata, [0, 1, 2]).points, 0);
+});
+
+test('scoreSelection gives partial SATA credit in plusminus and peroption modes', () => {
+  assert.equal(scoreSelection(sata, [0], 'plusminus').points, 0.5);
+  assert.equal(scoreSelection(sata, [0, 2], 'plusminus').points, 0);
+  assert.equal(scoreSelection(sata, [0, 2], 'peroption').points, 0.5);
+  assert.equal(scoreSelection(sata, [0, 1], 'peroption').points, 1);
+});
+
+test('partial credit modes do not change single-answer questions', () => {
+  const single = { q: 'x', type: 'single', options: ['a', 'b', 'c'], answerIdx: [1] };
+  assert.equal(scoreSelection(single, [1], 'plusminus').points, 1);
+  assert.equal(scoreSelection(single, [0], 'peroption').points, 0);
+});
+
+test('fill-in answers match synonyms after normalising, with optional fuzziness', () => {
+  const q = { q: 'Drug class ending in -olol?', type: 'fill', options: [], answerIdx: [], ...typedKeyFromText('fill', 'beta blocker|beta-adrenergic blocker') };
+  assert.equal(scoreSelection(q, '  Beta-Blocker ').exact, true);
+  assert.equal(scoreSelection(q, 'beta blokker').exact, false);
+  const fuzzy = { ...q, ...typedKeyFromText('fill', 'beta blocker', '0.8') };
+  assert.equal(scoreSelection(fuzzy, 'beta blokker').exact, true);
+  assert.equal(scoreSelection(q, '').note, 'no answer');
+});
+
+test('numeric answers honour tolerance and units', () => {
+  const q = { q: 'Rate?', type: 'numeric', options: [], answerIdx: [], ...typedKeyFromText('numeric', '12.5 mL/hr') };
+  assert.deepEqual(validateQuestion(q), []);
+  assert.equal(scoreSelection(q, '12.5').exact, true);
+  assert.equal(scoreSelection(q, '12.54 ml/hr').exact, true);
+  assert.equal(scoreSelection(q, '12.6').exact, false);
+  assert.equal(scoreSelection(q, '12.5 mg').note, 'wrong unit (expected mL/hr)');
+  const loose = { ...q, ...typedKeyFromText('numeric', '100 ± 5%') };
+  assert.equal(scoreSelection(loose, '104').exact, true);
+  assert.equal(scoreSelection(loose, '106').exact, false);
+});
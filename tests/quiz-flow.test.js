@@ -0,0 +1,290 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { DATA_DIR } from './helpers/env.js';
+import { Collection } from 'discord.js';
+import { FakeClient, waitFor } from './helpers/fakeDiscord.js';
+import { sessions, banks, lastBank } from '../src/state.js';
+import { updateGuildConfig } from '../src/guildConfig.js';
+import { loadHistory } from '../src/history.js';
+import { resumeSessionsFromDisk, persistSessions } from '../src/session.js';
+import { handleInteraction } from '../src/handlers/index.js';
+
+const BANK = [
+  { q: 'Priority for suspected sepsis?', type: 'single', options: ['Start feeds', 'Blood cultures', 'Lorazepam'], answerIdx: [1], rationale: 'Cultures before antibiotics.' },
+  { q: 'Basal insulin continues on sick days.', type: 'tf', options: ['True', 'False'], answerIdx: [0], rationale: 'Prevents DKA.' },
+  { q: 'PPE for contact precautions?', type: 'sata', options: ['Gloves', 'Gown', 'N95'], answerIdx: [0, 1], rationale: 'Gloves + gown.' }
+];
+
+let client, guild, channel, alice, bob;
+
+beforeEach(async () => {
+  client = new FakeClient();
+  guild = client.createGuild();
+  channel = client.createChannel(guild);
+  alice = client.createUser('alice');
+  bob = client.createUser('bob');
+  banks.set(guild.id, new Map([['flow', BANK.map(q => ({ ...q }))]]));
+  lastBank.set(guild.id, 'flow');
+  // Fixed order so the test knows which question is on screen
+  await updateGuildConfig(guild.id, { shuffle: false, shuffleOptions: false, avoidRecent: 0 });
+});
+
+const run = (user, commandName, options) => handleInteraction(client.command(channel, user, commandName, options));
+const isQuestion = (m, n) => m.embeds[0]?.title?.startsWith(`🧠 Question ${n}/`);
+// The message showing question n, once its buttons are live
+const question = n => waitFor(() => channel.publicMessages.find(m => isQuestion(m, n) && m.activeCollector));
+const posted = text => waitFor(() => channel.publicMessages.find(m => m.content.includes(text)));
+
+test('first-click quiz: answers, a timeout and the final scoreboard', async () => {
+  await run(alice, 'quiz', { subcommand: 'start', bank: 'flow', timer: 15 });
+  assert.match(channel.publicMessages[0].content, /Quiz starting!\*\* 3 questions/);
+
+  const q1 = await question(1);
+  assert.deepEqual(q1.customIds, ['opt_0', 'opt_1', 'opt_2']);
+  assert.equal(sessions.get(channel.id).index, 0);
+  const click = client.click(q1, alice, 'opt_1');
+  await waitFor(() => q1.activeCollector === null);
+  assert.match(q1.content, /^✅ Correct!  \*\*Answer:\*\* B/);
+  assert.match(q1.content, /Cultures before antibiotics/);
+  assert.match(q1.customIds.join(), /^qreport:/);
+  assert.equal(click.replied, true);
+
+  const q2 = await question(2);
+  q2.activeCollector.expire();
+  await posted('⏰ Time up! Moving on…');
+
+  const q3 = await question(3);
+  assert.deepEqual(q3.customIds, ['sata_select']);
+  client.click(q3, bob, 'sata_select', { values: ['0', '1'] });
+
+  const board = await posted('📊 **Scoreboard**');
+  assert.match(board.content, /\*\*alice\*\* — 1 pts/);
+  assert.match(board.content, /\*\*bob\*\* — 1 pts/);
+  assert.equal(sessions.has(channel.id), false);
+
+  const rows = await waitFor(async () => {
+    const list = (await loadHistory(guild.id)).filter(r => r.channelId === channel.id);
+    return list.length === 2 ? list : null;
+  });
+  assert.deepEqual(rows.map(r => [r.userId, r.correct]).sort(), [[alice.id, true], [bob.id, true]].sort());
+});
+
+test('only the first click counts in first mode', async () => {
+  await run(alice, 'quiz', { subcommand: 'start', bank: 'flow', count: 1 });
+  const q1 = await question(1);
+  client.click(q1, bob, 'opt_0');
+  const late = client.click(q1, alice, 'opt_1');
+  await waitFor(() => late.replyMessage);
+  assert.match(late.replyMessage.content, /already advanced/);
+  await waitFor(() => q1.content.includes('Answer:'));
+  assert.match(q1.content, /^❌/);
+  const board = await posted('📊');
+  assert.equal(board.content, '📊 No scores yet.');
+});
+
+test('/quiz stop ends the quiz without posting more questions', async () => {
+  await run(alice, 'quiz', { subcommand: 'start', bank: 'flow' });
+  const q1 = await question(1);
+  await run(alice, 'quiz', { subcommand: 'stop' });
+  assert.equal(q1.collectors[0].endReason, 'manual-stop');
+  assert.equal(sessions.has(channel.id), false);
+  assert.match(channel.lastMessage.content, /Quiz stopped/);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(channel.publicMessages.some(m => isQuestion(m, 2)), false);
+
+  await run(alice, 'quiz', { subcommand: 'stop' });
+  assert.match(channel.sent.at(-1).content, /No quiz is running/);
+  assert.equal(channel.sent.at(-1).ephemeral, true);
+});
+
+test('a question whose uploaded image was deleted still posts, as text', async () => {
+  banks.get(guild.id).get('flow')[0].image = 'gone.png';
+  await run(alice, 'quiz', { subcommand: 'start', bank: 'flow', count: 1 });
+  const q1 = await question(1);
+  assert.deepEqual(q1.files, []);
+  assert.equal(q1.embeds[0].image, undefined);
+  await run(alice, 'quiz', { subcommand: 'stop' });
+});
+
+test('a question that fails to post is skipped instead of stalling the quiz', async () => {
+  const send = channel.send.bind(channel);
+  channel.send = (payload, opts) => (payload.embeds?.[0]?.toJSON?.().title?.startsWith('🧠 Question 1/')
+    ? Promise.reject(Object.assign(new Error('Missing Permissions'), { code: 50013 }))
+    : send(payload, opts));
+  await run(alice, 'quiz', { subcommand: 'start', bank: 'flow', count: 2 });
+  await posted("Couldn't post question 1 — skipping it.");
+  await question(2);
+  await run(alice, 'quiz', { subcommand: 'stop' });
+});
+
+test('a quiz whose channel stops accepting messages is cleared from sessions', async () => {
+  await run(alice, 'quiz', { subcommand: 'start', bank: 'flow', count: 2 });
+  const q1 = await question(1);
+  channel.send = () => Promise.reject(Object.assign(new Error('Unknown Channel'), { code: 10003 }));
+  q1.activeCollector.expire();
+  await waitFor(() => !sessions.has(channel.id));
+});
+
+test('a second quiz cannot start in a busy channel', async () => {
+  await run(alice, 'quiz', { subcommand: 'start', bank: 'flow' });
+  await question(1);
+  await run(bob, 'quiz', { subcommand: 'start', bank: 'flow' });
+  assert.match(channel.sent.at(-1).content, /already running/);
+  await run(alice, 'quiz', { subcommand: 'stop' });
+});
+
+test('/quiz score shows the running scoreboard', async () => {
+  await run(alice, 'quiz', { subcommand: 'start', bank: 'flow' });
+  client.click(await question(1), bob, 'opt_1');
+  await question(2);
+  await run(alice, 'quiz', { subcommand: 'score' });
+  const board = await posted('📊 **Scoreboard**');
+  assert.match(board.content, /1\. \*\*bob\*\* — 1 pts/);
+  await run(alice, 'quiz', { subcommand: 'stop' });
+});
+
+test('the lobby starts once enough players join and cancels when it times out', async () => {
+  // The start command only resolves once the lobby closes
+  const starting = run(alice, 'quiz', { subcommand: 'start', bank: 'flow', min_players: 2 });
+  const lobby = await waitFor(() => channel.publicMessages[0]);
+  assert.deepEqual(lobby.customIds, ['quiz_join']);
+  client.click(lobby, alice, 'quiz_join');
+  await waitFor(() => lobby.content.includes('1/2 players joined'));
+  client.click(lobby, bob, 'quiz_join');
+  await starting;
+  await question(1);
+  assert.match(lobby.content, /2 players in/);
+  await run(alice, 'quiz', { subcommand: 'stop' });
+
+  const cancelled = run(alice, 'quiz', { subcommand: 'start', bank: 'flow', min_players: 3 });
+  const second = await waitFor(() => channel.publicMessages.find(m => m !== lobby && m.customIds.includes('quiz_join')));
+  second.activeCollector.expire();
+  await cancelled;
+  assert.match(second.content, /Not enough players \(0\/3\)/);
+  assert.equal(sessions.has(channel.id), false);
+});
+
+test('team quizzes put holders of mapped team roles on their team when the lobby opens', async () => {
+  const carol = client.createUser('carol');
+  const role = (id, name, users) => ({ id, name, members: new Collection(users.map(u => [u.id, { id: u.id, user: u }])) });
+  guild.roles.cache.set('9001', role('9001', 'Night Shift', [alice]));
+  guild.roles.cache.set('9002', role('9002', 'Day Shift', [bob, client.user]));
+  await updateGuildConfig(guild.id, { teamRoles: ['9001', '9002'] });
+  try {
+    run(alice, 'quiz', { subcommand: 'start', bank: 'flow', mode: 'teams' });
+    const lobby = await posted('Team quiz lobby');
+    assert.ok(lobby.content.includes(`**Night Shift** (1): <@${alice.id}>`));
+    assert.ok(lobby.content.includes(`**Day Shift** (1): <@${bob.id}>`), 'bots are left out');
+
+    // Members without a mapped role still use the buttons
+    client.click(lobby, carol, 'team_join_0');
+    await waitFor(() => lobby.content.includes(`**Night Shift** (2): <@${alice.id}>, <@${carol.id}>`));
+    client.click(lobby, alice, 'team_start');
+    await question(1);
+    const startMsg = channel.publicMessages.find(m => m.content.includes('Quiz starting!'));
+    assert.ok(startMsg.content.includes(`<@${bob.id}>`), 'role holders are pinged with their team');
+    await run(alice, 'quiz', { subcommand: 'stop' });
+  } finally {
+    await updateGuildConfig(guild.id, { teamRoles: [] });
+  }
+});
+
+test('everyone mode collects private answers and scores them when time is up', async () => {
+  await run(alice, 'quiz', { subcommand: 'start', bank: 'flow', mode: 'everyone', count: 1, timer: 10 });
+  const q1 = await question(1);
+  const a = client.click(q1, alice, 'opt_1');
+  const b = client.click(q1, bob, 'opt_0');
+  await waitFor(() => a.replyMessage && b.replyMessage);
+  assert.match(a.replyMessage.content, /Locked in: \*\*B\*\*/);
+  assert.equal(a.replyMessage.ephemeral, true);
+
+  const again = client.click(q1, alice, 'opt_2');
+  await waitFor(() => again.replyMessage);
+  assert.match(again.replyMessage.content, /already locked in/);
+
+  q1.activeCollector.expire();
+  const reveal = await posted("Time's up!");
+  assert.match(reveal.content, /Class answers\*\* \(2 responses\)/);
+  assert.match(reveal.content, /✅ \*\*B\*\* █+ 1 \(50%\)/);
+  assert.match(reveal.content, /Fastest correct: <@\d+>/);
+  assert.deepEqual(q1.components, []);
+
+  const board = await posted('📊 **Scoreboard**');
+  const pts = Number(/\*\*alice\*\* — (\d+) pts/.exec(board.content)[1]);
+  assert.ok(pts >= 500 && pts <= 1000, `speed-scaled points, got ${pts}`);
+  assert.doesNotMatch(board.content, /bob/);
+});
+
+test('typed questions are answered through a modal', async () => {
+  banks.get(guild.id).set('typed', [
+    { q: 'Drug class ending in -olol?', type: 'fill', options: [], answerIdx: [], accept: ['beta blocker'], rationale: '' }
+  ]);
+  await run(alice, 'quiz', { subcommand: 'start', bank: 'typed' });
+  const q1 = await question(1);
+  assert.deepEqual(q1.customIds, ['typed_answer']);
+
+  const closed = client.click(q1, bob, 'typed_answer');
+  await waitFor(() => closed.shownModal);
+  assert.equal(closed.shownModal.title, '✍️ Your answer');
+  assert.ok(q1.activeCollector, 'closing the modal leaves the question open');
+
+  client.click(q1, alice, 'typed_answer', { modal: { answer: 'Beta-blocker' } });
+  await waitFor(() => q1.content.includes('Correct!'));
+  const board = await posted('📊 **Scoreboard**');
+  assert.match(board.content, /\*\*alice\*\* — 1 pts/);
+});
+
+test('an interrupted quiz resumes from data/sessions.json after a restart', async () => {
+  await run(alice, 'quiz', { subcommand: 'start', bank: 'flow' });
+  client.click(await question(1), alice, 'opt_1');
+  const q2 = await question(2);
+  await persistSessions();
+
+  // Simulate the process restarting: in-memory state is gone, the message on screen is stale
+  const stale = sessions.get(channel.id);
+  sessions.clear();
+  stale.collector.stop('manual-stop');
+  await resumeSessionsFromDisk(client);
+
+  await posted('♻️ The bot restarted — resuming this quiz at question **2/3**');
+  assert.deepEqual(q2.components, []);
+  const resumed = await waitFor(() => channel.publicMessages.find(m => m !== q2 && isQuestion(m, 2)));
+  assert.equal(resumed.embeds[0].description, q2.embeds[0].description);
+  assert.equal(sessions.get(channel.id).scoreboard.get(alice.id), 1);
+  assert.ok(resumed.activeCollector.options.time < sessions.get(channel.id).timer * 1000, 'resumes with the time that was left');
+  await run(alice, 'quiz', { subcommand: 'stop' });
+});
+
+// Interrupts the quiz on question 2 and lets `edit` change the saved state before resuming
+async function restartOnQuestion2(edit) {
+  await run(alice, 'quiz', { subcommand: 'start', bank: 'flow', timer: 15 });
+  client.click(await question(1), alice, 'opt_1');
+  await question(2);
+  await persistSessions();
+  const stale = sessions.get(channel.id);
+  sessions.clear();
+  stale.collector.stop('manual-stop');
+  const file = path.join(DATA_DIR, 'sessions.json');
+  const saved = JSON.parse(await fs.readFile(file, 'utf8'));
+  saved.filter(s => s.channelId === channel.id).forEach(edit);
+  await fs.writeFile(file, JSON.stringify(saved));
+  await resumeSessionsFromDisk(client);
+}
+
+test('a question whose timer ran out during the restart is closed, not asked again', async () => {
+  await restartOnQuestion2(s => { s.deadline = Date.now() - 1000; });
+  await posted('⏰ Time ran out on question **2** while the bot was offline.');
+  await posted('resuming this quiz at question **3/3**');
+  await question(3);
+  await run(alice, 'quiz', { subcommand: 'stop' });
+});
+
+test('a question already answered before the restart is not asked again', async () => {
+  await restartOnQuestion2(s => { s.answered = true; });
+  await posted('resuming this quiz at question **3/3**');
+  await question(3);
+  assert.equal(channel.publicMessages.filter(m => isQuestion(m, 2)).length, 1);
+  await run(alice, 'quiz', { subcommand: 'stop' });
+});
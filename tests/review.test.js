@@ -0,0 +1,45 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import { FakeClient } from './helpers/fakeDiscord.js';
+import { banks } from '../src/state.js';
+import { questionKey, recordAnswer } from '../src/history.js';
+import { handleInteraction } from '../src/handlers/index.js';
+
+const Q = { q: 'Normal adult resting HR?', type: 'single', options: ['60-100', '100-140'], answerIdx: [0] };
+
+let client, guild, channel, alice;
+
+beforeEach(async () => {
+  client = new FakeClient();
+  guild = client.createGuild();
+  channel = client.createChannel(guild);
+  alice = client.createUser('alice');
+  banks.set(guild.id, new Map([['Cardio Week 1', [Q]]]));
+  await recordAnswer({ ts: Date.now() - 60000, guildId: guild.id, userId: alice.id, bank: 'Cardio Week 1', qKey: questionKey(Q), choice: [1], correct: false });
+});
+
+test('/review bank: matches bank names case-insensitively', async () => {
+  const interaction = client.command(channel, alice, 'review', { bank: 'cardio week 1' });
+  await handleInteraction(interaction);
+  assert.match(interaction.replyMessage.content, /Review:\*\* 1 card due/);
+  interaction.replyMessage.activeCollector?.stop();
+});
+
+test('/review bank: replies not found for an unknown bank', async () => {
+  const interaction = client.command(channel, alice, 'review', { bank: 'Renal' });
+  await handleInteraction(interaction);
+  assert.match(interaction.replyMessage.content, /Bank \*\*Renal\*\* not found/);
+});
+
+test('/review count: shows how many cards are due as well as how many are reviewed', async () => {
+  const more = [2, 3, 4].map(n => ({ ...Q, q: `Question ${n}?` }));
+  banks.get(guild.id).get('Cardio Week 1').push(...more);
+  for (const q of more) {
+    await recordAnswer({ ts: Date.now() - 60000, guildId: guild.id, userId: alice.id, bank: 'Cardio Week 1', qKey: questionKey(q), choice: [1], correct: false });
+  }
+  const interaction = client.command(channel, alice, 'review', { count: 2 });
+  await handleInteraction(interaction);
+  assert.match(interaction.replyMessage.content, /Review:\*\* 4 cards due, reviewing 2\./);
+  interaction.replyMessage.activeCollector?.stop();
+});
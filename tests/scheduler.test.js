@@ -0,0 +1,73 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/env.js';
+import { FakeClient, waitFor } from './helpers/fakeDiscord.js';
+import { banks, sessions } from '../src/state.js';
+import { storeBank, loadAllBanksFromDisk } from '../src/storage.js';
+import { describeSchedule, schedules, loadSchedulesFromDisk, startScheduler } from '../src/scheduler.js';
+import { handleInteraction } from '../src/handlers/index.js';
+
+const schedule = (cron, tz = 'UTC') => ({ id: 'abc123', channelId: '42', bank: 'Cardio', count: 5, cron, tz, paused: false });
+const nextOf = text => {
+  const m = /<t:(\d+):R>/.exec(text);
+  return m ? new Date(+m[1] * 1000) : null;
+};
+
+test('describeSchedule finds the next run of a monthly cron', () => {
+  const next = nextOf(describeSchedule(schedule('0 9 1 * *')));
+  assert.ok(next, 'expected a next run');
+  assert.ok(next > Date.now());
+  assert.deepEqual([next.getUTCDate(), next.getUTCHours(), next.getUTCMinutes()], [1, 9, 0]);
+});
+
+test('describeSchedule resolves the next run in the schedule timezone', () => {
+  const next = nextOf(describeSchedule(schedule('30 19 * * *', 'Asia/Kolkata')));
+  // 19:30 IST is 14:00 UTC
+  assert.deepEqual([next.getUTCHours(), next.getUTCMinutes()], [14, 0]);
+});
+
+test('describeSchedule labels crons that never fire within a year', () => {
+  const started = Date.now();
+  assert.match(describeSchedule(schedule('0 9 31 2 *')), /no run in the next year/);
+  assert.ok(Date.now() - started < 2000, 'search should skip non-matching hours');
+});
+
+// Creates an every-minute schedule, "restarts" (reloads banks and schedules from disk) and fires one scheduler tick
+async function scheduleThenRestart(bankName, beforeTick = () => {}) {
+  const client = new FakeClient();
+  const guild = client.createGuild();
+  const channel = client.createChannel(guild);
+  const admin = client.createUser('admin');
+  banks.set(guild.id, new Map());
+  await storeBank(guild.id, bankName, [{ q: 'Normal adult resting HR?', type: 'single', options: ['60-100', '100-140'], answerIdx: [0] }]);
+  const create = client.command(channel, admin, 'schedule', { subcommand: 'create', bank: bankName.toUpperCase(), cron: '* * * * *' }, { admin: true });
+  await handleInteraction(create);
+  assert.match(create.replyMessage.content, /Scheduled:/);
+
+  banks.clear();
+  schedules.length = 0;
+  await loadAllBanksFromDisk();
+  await loadSchedulesFromDisk();
+  assert.equal(schedules.filter(s => s.guildId === guild.id).length, 1);
+  beforeTick(guild);
+
+  mock.timers.enable({ apis: ['setInterval'] });
+  const timer = startScheduler(client);
+  mock.timers.tick(30000);
+  clearInterval(timer);
+  mock.timers.reset();
+  return { client, channel, admin };
+}
+
+test('a schedule still runs after a restart when its bank name has spaces', async () => {
+  const { client, channel, admin } = await scheduleThenRestart('Cardio Week 1');
+  await waitFor(() => channel.publicMessages.find(m => m.content.includes('**Scheduled quiz** from bank **Cardio Week 1**')));
+  await waitFor(() => sessions.get(channel.id)?.active);
+  await handleInteraction(client.command(channel, admin, 'quiz', { subcommand: 'stop' }, { admin: true }));
+});
+
+test('a schedule whose bank is gone says so in the channel', async () => {
+  const { channel } = await scheduleThenRestart('Renal & Fluids', guild => banks.get(guild.id).delete('Renal & Fluids'));
+  await waitFor(() => channel.publicMessages.find(m => m.content.includes("bank **Renal & Fluids** wasn't found")));
+  assert.equal(sessions.has(channel.id), false);
+});
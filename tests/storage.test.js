@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { DATA_DIR } from './helpers/env.js';
+import { banks, lastBank } from '../src/state.js';
+import { saveBankToDisk, loadAllBanksFromDisk, findBankName, storeBank, deleteBankFile } from '../src/storage.js';
+
+const bank = [{ q: 'Sky colour?', type: 'single', options: ['Blue', 'Green'], answerIdx: [0] }];
+
+test('banks saved to disk load back after a restart', async () => {
+  await saveBankToDisk('111', 'Cardio Week 1', bank);
+  banks.clear(); lastBank.clear();
+  await loadAllBanksFromDisk();
+  assert.deepEqual(banks.get('111').get('Cardio Week 1'), bank);
+  assert.equal(banks.get('111').has('Cardio_Week_1'), false);
+  assert.ok(banks.get('111').has('sample'));
+  assert.equal(lastBank.get('111'), 'sample');
+});
+
+test('older bank files (a bare array) load under their file name', async () => {
+  await fs.writeFile(path.join(DATA_DIR, '555__Old_Bank.json'), JSON.stringify(bank));
+  banks.clear();
+  await loadAllBanksFromDisk();
+  assert.deepEqual(banks.get('555').get('Old_Bank'), bank);
+});
+
+test('unreadable bank files are skipped instead of stopping the load', async () => {
+  await fs.writeFile(path.join(DATA_DIR, '222__broken.json'), '{ not json');
+  await saveBankToDisk('222', 'fine', bank);
+  banks.clear();
+  await loadAllBanksFromDisk();
+  assert.equal(banks.get('222').has('broken'), false);
+  assert.deepEqual(banks.get('222').get('fine'), bank);
+});
+
+test('overwriting a bank keeps a backup of the previous version', async () => {
+  await saveBankToDisk('333', 'pharm', bank);
+  await saveBankToDisk('333', 'pharm', [...bank, { ...bank[0], q: 'Grass colour?', answerIdx: [1] }]);
+  const backups = (await fs.readdir(path.join(DATA_DIR, 'backups'))).filter(f => f.startsWith('333__pharm.'));
+  assert.equal(backups.length, 1);
+  assert.deepEqual(JSON.parse(await fs.readFile(path.join(DATA_DIR, 'backups', backups[0]), 'utf8')).items, bank);
+});
+
+test('findBankName ignores case and storeBank / deleteBankFile keep disk in step', async () => {
+  banks.set('444', new Map([['sample', []]]));
+  await storeBank('444', 'Mental_Health', bank);
+  assert.equal(findBankName('444', 'mental_health'), 'Mental_Health');
+  assert.equal(findBankName('444', 'nope'), null);
+  const file = path.join(DATA_DIR, '444__Mental_Health.json');
+  assert.deepEqual(JSON.parse(await fs.readFile(file, 'utf8')), { name: 'Mental_Health', items: bank });
+  await deleteBankFile('444', 'Mental_Health');
+  await assert.rejects(fs.access(file));
+});
@@ -0,0 +1,73 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { DATA_DIR } from './helpers/env.js';
+import { FakeClient } from './helpers/fakeDiscord.js';
+import { banks } from '../src/state.js';
+
+process.env.ADMIN_TOKEN = 'test-token';
+process.env.TRUST_PROXY = '1';
+const { createWebApp } = await import('../src/web.js');
+
+const GUILD = '123456789012345678';
+const QUESTION = { q: 'Sky colour?', options: ['Blue', 'Green'], answer: 'A' };
+let server, base;
+
+before(async () => {
+  server = createWebApp(new FakeClient()).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+const api = (method, url, body) => fetch(`${base}${url}`, {
+  method,
+  headers: { authorization: 'Bearer test-token', 'content-type': 'application/json' },
+  body: body && JSON.stringify(body)
+});
+
+test('the API needs the admin token', async () => {
+  const res = await fetch(`${base}/api/guilds`);
+  assert.equal(res.status, 401);
+});
+
+test('banks created through the API are stored under the guild', async () => {
+  const res = await api('PUT', `/api/guilds/${GUILD}/banks/week1`, [QUESTION]);
+  assert.equal(res.status, 200);
+  assert.deepEqual(banks.get(GUILD).get('week1').map(q => q.answerIdx), [[0]]);
+  await fs.access(path.join(DATA_DIR, `${GUILD}__week1.json`));
+});
+
+test('guild ids that are not snowflakes are rejected', async () => {
+  for (const id of ['..%2Fescape', 'abc', '12345']) {
+    const put = await api('PUT', `/api/guilds/${id}/banks/x`, [QUESTION]);
+    assert.equal(put.status, 400, id);
+    assert.deepEqual(await put.json(), { error: 'Invalid guild id' });
+    const post = await api('POST', `/api/guilds/${id}/banks/x/questions`, QUESTION);
+    assert.equal(post.status, 400, id);
+  }
+  assert.equal(banks.has('../escape'), false);
+  await assert.rejects(fs.access(path.join(DATA_DIR, '..', 'escape__x.json')));
+
+  const page = await fetch(`${base}/admin/abc/x`, { headers: { authorization: 'Bearer test-token' } });
+  assert.equal(page.status, 400);
+});
+
+test('non-object entries in a posted bank are rejected per row', async () => {
+  const res = await api('PUT', `/api/guilds/${GUILD}/banks/week2`, [QUESTION, null, 'Sky?', [1]]);
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.deepEqual(body.errors, [1, 2, 3].map(index => ({ index, issues: ['must be an object'] })));
+  assert.equal(banks.get(GUILD)?.has('week2') ?? false, false);
+});
+
+test('the login cookie is Secure behind an https proxy', async () => {
+  const login = (proto) => fetch(`${base}/admin/login`, {
+    method: 'POST', redirect: 'manual',
+    headers: { 'content-type': 'application/x-www-form-urlencoded', 'x-forwarded-proto': proto },
+    body: 'token=test-token'
+  });
+  assert.match((await login('https')).headers.get('set-cookie'), /;\s*Secure/i);
+  assert.doesNotMatch((await login('http')).headers.get('set-cookie'), /;\s*Secure/i);
+});